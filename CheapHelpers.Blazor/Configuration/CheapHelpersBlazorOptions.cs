@@ -50,6 +50,11 @@ namespace CheapHelpers.Blazor.Configuration
         /// </summary>
         public int SnackbarDuration { get; set; } = 3000;
 
+        /// <summary>
+        /// Reconnection policy for boot.js. Rendered to the page by the ReconnectionSettings component.
+        /// </summary>
+        public ReconnectionOptions Reconnection { get; set; } = new();
+
         /// <summary>
         /// Type of email service implementation to register
         /// </summary>
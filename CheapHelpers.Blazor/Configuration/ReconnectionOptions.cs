@@ -0,0 +1,55 @@
+﻿namespace CheapHelpers.Blazor.Configuration
+{
+    /// <summary>
+    /// Reconnection policy used by boot.js when the Blazor Server circuit drops.
+    /// Defaults match the previous hardcoded behaviour (3 attempts, 3 seconds apart, then reload).
+    /// </summary>
+    public class ReconnectionOptions
+    {
+        /// <summary>
+        /// Maximum number of reconnect attempts. Null retries until <see cref="MaxDuration"/> is reached (or forever).
+        /// </summary>
+        public int? MaxAttempts { get; set; } = 3;
+
+        /// <summary>
+        /// Maximum time spent reconnecting. Time paused while offline or hidden does not count. Null means no limit.
+        /// </summary>
+        public TimeSpan? MaxDuration { get; set; }
+
+        /// <summary>
+        /// Delay before the first attempt
+        /// </summary>
+        public TimeSpan InitialDelay { get; set; } = TimeSpan.FromSeconds(3);
+
+        /// <summary>
+        /// Upper bound for the delay between attempts
+        /// </summary>
+        public TimeSpan MaxDelay { get; set; } = TimeSpan.FromSeconds(30);
+
+        /// <summary>
+        /// Factor applied to the delay after every attempt. 1 keeps a fixed interval, 2 doubles it.
+        /// </summary>
+        public double BackoffMultiplier { get; set; } = 1;
+
+        /// <summary>
+        /// Random spread applied to every delay, as a fraction of the delay (0.2 = ±20%)
+        /// </summary>
+        public double Jitter { get; set; } = 0;
+
+        /// <summary>
+        /// Stop attempting while navigator.onLine is false and retry as soon as the network returns
+        /// </summary>
+        public bool PauseWhileOffline { get; set; } = true;
+
+        /// <summary>
+        /// Stop attempting while the tab is hidden and retry as soon as it becomes visible
+        /// </summary>
+        public bool PauseWhileHidden { get; set; } = false;
+
+        /// <summary>
+        /// Reload the page when reconnecting fails or the server rejects the circuit.
+        /// When false the reconnect modal stays open so unsaved work remains on screen.
+        /// </summary>
+        public bool AutoReload { get; set; } = true;
+    }
+}
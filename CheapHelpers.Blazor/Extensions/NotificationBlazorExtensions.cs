@@ -38,8 +38,10 @@ public static class NotificationBlazorExtensions
         // Register SignalR
         services.AddSignalR();
 
-        // Register SignalR-based real-time notification service (default)
-        services.AddScoped<INotificationRealTimeService, SignalRNotificationRealTimeService>();
+        // Register SignalR-based real-time notification service (default).
+        // NotificationHub resolves the concrete type to resync clients, even when RabbitMQ handles delivery.
+        services.AddScoped<SignalRNotificationRealTimeService>();
+        services.AddScoped<INotificationRealTimeService>(sp => sp.GetRequiredService<SignalRNotificationRealTimeService>());
 
         return services;
     }
@@ -0,0 +1,45 @@
+﻿namespace CheapHelpers.Blazor.Helpers
+{
+    /// <summary>
+    /// Payload of the boot.js connectionDown event (delivered to .NET after the circuit is back)
+    /// </summary>
+    public class ConnectionDownEvent
+    {
+        /// <summary>
+        /// When the connection dropped, in Unix milliseconds
+        /// </summary>
+        public long Timestamp { get; set; }
+    }
+
+    /// <summary>
+    /// Payload of the boot.js reconnecting event, sent before every attempt
+    /// </summary>
+    public class ReconnectingEvent
+    {
+        public int Attempt { get; set; }
+        public int? MaxAttempts { get; set; }
+        public int DelayMs { get; set; }
+    }
+
+    /// <summary>
+    /// Payload of the boot.js connectionUp event
+    /// </summary>
+    public class ConnectionUpEvent
+    {
+        /// <summary>
+        /// How long the circuit was disconnected
+        /// </summary>
+        public long DowntimeMs { get; set; }
+    }
+
+    /// <summary>
+    /// Payload of the boot.js reloadPending event
+    /// </summary>
+    public class ReloadPendingEvent
+    {
+        /// <summary>
+        /// "unreachable", "rejected" or "user"
+        /// </summary>
+        public string Reason { get; set; } = string.Empty;
+    }
+}
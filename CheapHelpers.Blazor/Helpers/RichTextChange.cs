@@ -0,0 +1,29 @@
+﻿namespace CheapHelpers.Blazor.Helpers
+{
+    /// <summary>
+    /// Coarse text change reported by textEditor.js to the editor's changeMethodName, once per sync.
+    /// Offsets are in the editor's plain text; formatting-only changes are not reported.
+    /// </summary>
+    public class RichTextChange
+    {
+        /// <summary>
+        /// insert, delete or replace
+        /// </summary>
+        public string Type { get; set; } = "insert";
+
+        /// <summary>
+        /// Character offset where the change starts
+        /// </summary>
+        public int Start { get; set; }
+
+        /// <summary>
+        /// Characters removed at Start
+        /// </summary>
+        public int DeleteCount { get; set; }
+
+        /// <summary>
+        /// Text inserted at Start
+        /// </summary>
+        public string InsertedText { get; set; } = string.Empty;
+    }
+}
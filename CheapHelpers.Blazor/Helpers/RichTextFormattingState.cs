@@ -0,0 +1,29 @@
+﻿namespace CheapHelpers.Blazor.Helpers
+{
+    /// <summary>
+    /// Formatting at the caret, reported by textEditor.js to the editor's stateMethodName
+    /// </summary>
+    public class RichTextFormattingState
+    {
+        public bool Bold { get; set; }
+        public bool Italic { get; set; }
+        public bool Underline { get; set; }
+        public bool UnorderedList { get; set; }
+        public bool OrderedList { get; set; }
+
+        /// <summary>
+        /// Block tag at the caret: p, h1-h6, blockquote or pre
+        /// </summary>
+        public string Block { get; set; } = "p";
+
+        /// <summary>
+        /// left, center, right or justify
+        /// </summary>
+        public string Align { get; set; } = "left";
+
+        /// <summary>
+        /// Href of the link at the caret, if any
+        /// </summary>
+        public string? Link { get; set; }
+    }
+}
@@ -0,0 +1,21 @@
+﻿namespace CheapHelpers.Blazor.Helpers
+{
+    /// <summary>
+    /// Describes an image pasted or dropped into the rich text editor, sent to its uploadMethodName
+    /// next to the IJSStreamReference with the bytes
+    /// </summary>
+    public class RichTextImageUpload
+    {
+        /// <summary>
+        /// Original file name, or pasted-image.{ext} for screenshots and inline images
+        /// </summary>
+        public string FileName { get; set; } = string.Empty;
+
+        public string ContentType { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Size in bytes
+        /// </summary>
+        public long Size { get; set; }
+    }
+}
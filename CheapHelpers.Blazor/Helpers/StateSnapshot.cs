@@ -0,0 +1,21 @@
+﻿namespace CheapHelpers.Blazor.Helpers
+{
+    /// <summary>
+    /// Unsaved state that boot.js stored in sessionStorage before a forced reload,
+    /// offered back through blazorSnapshots.attach
+    /// </summary>
+    public class StateSnapshot<T>
+    {
+        public T? Value { get; set; }
+
+        /// <summary>
+        /// When the snapshot was stored, in Unix milliseconds
+        /// </summary>
+        public long SavedAt { get; set; }
+
+        /// <summary>
+        /// Why the page reloaded: "unreachable", "rejected", "user" or "unload"
+        /// </summary>
+        public string Reason { get; set; } = string.Empty;
+    }
+}
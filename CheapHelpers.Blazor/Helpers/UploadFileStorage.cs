@@ -0,0 +1,332 @@
+﻿using CheapHelpers.Extensions;
+using CheapHelpers.Helpers.Files;
+using CheapHelpers.Services.Storage;
+using FileTypeChecker;
+using FileTypeChecker.Extensions;
+using MimeMapping;
+using SixLabors.ImageSharp;
+using SixLabors.ImageSharp.Processing;
+using System.Diagnostics;
+using System.Security;
+
+namespace CheapHelpers.Blazor.Helpers
+{
+    /// <summary>
+    /// File validation and storage behind <c>UploadFile</c>, for uploads that don't come from an <c>IBrowserFile</c>,
+    /// such as images pasted into the rich text editor
+    /// </summary>
+    public static class UploadFileStorage
+    {
+        // SECURITY: Primary defense - Whitelist of allowed MIME types based on actual file content analysis
+        // This list defines the ONLY file types that can be uploaded. All others are rejected.
+        // Uses FileTypeChecker library to validate actual file content, not just extensions.
+        private static readonly HashSet<string> AllowedMimeTypes = new(StringComparer.OrdinalIgnoreCase)
+        {
+            // Images - common formats
+            KnownMimeTypes.Jpeg,           // .jpg, .jpeg
+            KnownMimeTypes.Png,            // .png
+            KnownMimeTypes.Gif,            // .gif
+            KnownMimeTypes.Webp,           // .webp
+            KnownMimeTypes.Bmp,            // .bmp
+            KnownMimeTypes.Tiff,           // .tif, .tiff
+            KnownMimeTypes.Svg,            // .svg
+
+            // Documents
+            KnownMimeTypes.Pdf,            // .pdf
+
+            // Videos - common formats
+            KnownMimeTypes.Mp4,            // .mp4
+            KnownMimeTypes.Mov,            // .mov
+            KnownMimeTypes.Avi,            // .avi
+            "video/x-matroska",            // .mkv - NOTE: Not available in KnownMimeTypes
+            KnownMimeTypes.Webm,           // .webm
+
+            // Archives (if needed)
+            KnownMimeTypes.Zip,            // .zip
+            "application/x-rar-compressed",  // .rar - NOTE: Not available in KnownMimeTypes
+            "application/x-7z-compressed",   // .7z - NOTE: Not available in KnownMimeTypes
+        };
+
+        // SECURITY: Secondary defense - Blacklist of known dangerous extensions (defense in depth)
+        // This provides an additional layer even if MIME validation is bypassed.
+        // Uses exact extension matching with proper string comparison, not substring matching.
+        private static readonly HashSet<string> DangerousExtensions = Constants.File.DangerousExtensions.GetAll();
+
+        /// <summary>
+        /// Validates and stores a file the same way UploadFile does: dangerous extension and content type checks,
+        /// trusted file name, EXIF auto-orientation for images, then blob storage or the upload path.
+        /// The caller is responsible for the size limit (e.g. OpenReadStream(maxAllowedSize)).
+        /// </summary>
+        /// <param name="content">File content</param>
+        /// <param name="fileName">Original file name, used for the extension and the trusted name</param>
+        /// <param name="options">Where and how to store the file</param>
+        /// <param name="blobService">Required when <see cref="UploadFileStorageOptions.UseBlobStorage"/> is set</param>
+        /// <returns>The stored file name and location, or the exception that stopped the upload</returns>
+        public static async Task<UploadFileResult> SaveAsync(Stream content, string fileName, UploadFileStorageOptions options, BlobService? blobService = null)
+        {
+            try
+            {
+                // Ensure upload path is configured
+                if (!options.UseBlobStorage && string.IsNullOrWhiteSpace(options.UploadPath))
+                {
+                    throw new ArgumentNullException(Constants.Validation.UploadPathParameter, Constants.Validation.NoUploadPathMessage);
+                }
+
+                if (options.UseBlobStorage && blobService == null)
+                {
+                    throw new ArgumentNullException(nameof(blobService));
+                }
+
+                string trustedFileNameForFileStorage = fileName;
+                if (options.AppendPartialGuid)
+                {
+                    trustedFileNameForFileStorage = FileHelper.GetTrustedFileName(fileName);
+                }
+                else
+                {
+                    Debug.WriteLine("no partial guid appended, this will be forced in the future");
+                }
+
+                // Path traversal attack prevention
+                if (!options.UseBlobStorage)
+                {
+                    ValidateUploadPath(options.UploadPath!, trustedFileNameForFileStorage);
+                }
+
+                // Load file content into memory for validation and processing
+                using Stream stream = new MemoryStream();
+                await content.CopyToAsync(stream);
+                stream.Position = 0;
+
+                // CRITICAL SECURITY - Multi-layered file type validation
+                // This must happen BEFORE any file processing or storage
+                await ValidateFileType(fileName, stream);
+
+                // File type validation passed - proceed with processing
+                using MemoryStream outStream = new MemoryStream();
+                var isimage = stream.IsImage();
+                stream.Position = 0;
+
+                if (isimage)
+                {
+                    using (SixLabors.ImageSharp.Image image = await SixLabors.ImageSharp.Image.LoadAsync(stream))
+                    {
+                        image.Mutate(x => x.AutoOrient());
+                        await image.SaveAsJpegAsync(outStream);
+                    }
+                }
+
+                stream.Position = 0;
+                outStream.Position = 0;
+
+                if (options.UseBlobStorage)
+                {
+                    await blobService!.UploadFileAsync(isimage ? outStream : stream, trustedFileNameForFileStorage, options.BlobContainer);
+                }
+                else
+                {
+                    using (FileStream fileStream = new(Path.Combine(options.UploadPath!, trustedFileNameForFileStorage), FileMode.Create))
+                    {
+                        if (isimage)
+                        {
+                            await outStream.CopyToAsync(fileStream);
+                        }
+                        else
+                        {
+                            await stream.CopyToAsync(fileStream);
+                        }
+                    }
+                }
+
+                return new UploadFileResult { Exception = null, FileName = trustedFileNameForFileStorage, UploadPath = options.UploadPath, BlobContainer = options.BlobContainer.StringValue() };
+            }
+            catch (Exception ex)
+            {
+                Debug.WriteLine(ex.Message);
+                return new UploadFileResult { Exception = ex, FileName = null, UploadPath = options.UploadPath };
+            }
+        }
+
+        /// <summary>
+        /// Validates that the resolved upload path stays within the intended base directory to prevent path traversal attacks.
+        /// </summary>
+        /// <param name="uploadPath">The base upload directory path</param>
+        /// <param name="fileName">The filename to be combined with the upload path</param>
+        /// <exception cref="SecurityException">Thrown when path traversal is detected</exception>
+        private static void ValidateUploadPath(string uploadPath, string fileName)
+        {
+            var baseDir = Path.GetFullPath(uploadPath);
+            var resolvedPath = Path.GetFullPath(Path.Combine(uploadPath, fileName));
+
+            // Ensure the resolved path starts with the base directory path
+            // DirectorySeparatorChar ensures we match complete directory names (prevents "C:\upload" matching "C:\upload2")
+            if (!resolvedPath.StartsWith(baseDir + Path.DirectorySeparatorChar, StringComparison.OrdinalIgnoreCase)
+                && !resolvedPath.Equals(baseDir, StringComparison.OrdinalIgnoreCase))
+            {
+                throw new SecurityException(string.Format(Constants.Validation.PathTraversalMessageTemplate, baseDir, resolvedPath));
+            }
+
+            // Check for symbolic links on supported platforms (Windows Vista+ and Unix-based systems)
+            try
+            {
+                var fileInfo = new FileInfo(resolvedPath);
+                if (fileInfo.Exists && fileInfo.Attributes.HasFlag(FileAttributes.ReparsePoint))
+                {
+                    throw new SecurityException(Constants.Validation.SymbolicLinkMessage);
+                }
+            }
+            catch (SecurityException)
+            {
+                throw; // Re-throw security exceptions
+            }
+            catch
+            {
+                // Ignore other exceptions from symlink check (e.g., file doesn't exist yet)
+            }
+        }
+
+        /// <summary>
+        /// Validates file type using a multi-layered approach for maximum security.
+        /// SECURITY LAYERS:
+        /// 1. Extension blacklist check - Blocks known dangerous extensions (.exe, .bat, .ps1, etc.)
+        /// 2. MIME type whitelist check - Only allows explicitly approved file types based on actual content
+        /// 3. Content-based validation - Uses FileTypeChecker library to verify actual file type from magic bytes
+        ///
+        /// This prevents attacks like:
+        /// - Double extension bypass (.exe.jpg)
+        /// - Extension spoofing (malicious.exe renamed to safe.jpg)
+        /// - MIME type manipulation
+        /// </summary>
+        /// <param name="fileName">The filename to validate</param>
+        /// <param name="fileStream">The file content stream to analyze</param>
+        /// <exception cref="SecurityException">Thrown when file type validation fails</exception>
+        private static async Task ValidateFileType(string fileName, Stream fileStream)
+        {
+            if (string.IsNullOrWhiteSpace(fileName))
+            {
+                throw new ArgumentException(Constants.Validation.FilenameNullOrEmptyMessage, Constants.Validation.FilenameParameter);
+            }
+
+            // LAYER 1: Extension blacklist check (defense in depth)
+            // Extract actual file extension using Path.GetExtension which handles edge cases properly
+            var fileExtension = Path.GetExtension(fileName);
+
+            if (string.IsNullOrEmpty(fileExtension))
+            {
+                throw new SecurityException(Constants.Validation.NoExtensionMessage);
+            }
+
+            // Use HashSet.Contains with exact matching instead of vulnerable substring matching
+            // This prevents bypass attacks like "malicious.exe.jpg" where ".exe" appears in the middle
+            if (DangerousExtensions.Contains(fileExtension))
+            {
+                throw new SecurityException(string.Format(Constants.Validation.DangerousExtensionMessageTemplate, fileExtension));
+            }
+
+            // LAYER 2 & 3: MIME type whitelist check with content-based validation
+            // FileTypeChecker analyzes the actual file content (magic bytes) to determine the true file type
+            // This prevents attacks where a .exe is renamed to .jpg - the library will detect it's still an executable
+            try
+            {
+                fileStream.Position = 0;
+
+                // Check if the file type is recognizable by the library
+                if (!FileTypeValidator.IsTypeRecognizable(fileStream))
+                {
+                    throw new SecurityException(string.Format(Constants.Validation.UnrecognizableFileTypeMessageTemplate, fileName));
+                }
+
+                fileStream.Position = 0;
+
+                // Use FileTypeChecker to detect actual file type from content (magic bytes)
+                var detectedFileType = FileTypeValidator.GetFileType(fileStream);
+
+                if (detectedFileType == null)
+                {
+                    throw new SecurityException(string.Format(Constants.Validation.FileTypeDetectionFailedMessageTemplate, fileName));
+                }
+
+                // Get the MIME type from the detected file type
+                // Note: FileTypeChecker uses Name property for the file type name, not necessarily a standard MIME type
+                var detectedTypeName = detectedFileType.Name ?? "unknown";
+                var detectedExtension = detectedFileType.Extension ?? "unknown";
+
+                // Build MIME type string - FileTypeChecker doesn't provide MIME directly, so we map from extension
+                var detectedMimeType = GetMimeTypeFromExtension(detectedExtension);
+
+                // Validate detected MIME type against whitelist
+                // Only files with explicitly allowed MIME types can be uploaded
+                if (!AllowedMimeTypes.Contains(detectedMimeType))
+                {
+                    throw new SecurityException(string.Format(Constants.Validation.DisallowedFileTypeMessageTemplate,
+                        detectedTypeName, detectedMimeType, detectedExtension, string.Join(", ", AllowedMimeTypes)));
+                }
+
+                // Additional validation: Check for MIME type / extension mismatch
+                // This catches cases where someone might try to upload a PNG with a .jpg extension
+                if (!string.IsNullOrEmpty(detectedExtension) &&
+                    !fileExtension.Equals($".{detectedExtension}", StringComparison.OrdinalIgnoreCase))
+                {
+                    // Log mismatch but don't necessarily fail - some formats have multiple valid extensions
+                    Debug.WriteLine(string.Format(Constants.Validation.ExtensionMismatchWarningTemplate,
+                        fileName, fileExtension, detectedExtension, detectedTypeName));
+                }
+
+                Debug.WriteLine(string.Format(Constants.Validation.FileValidationSuccessTemplate,
+                    fileName, detectedTypeName, detectedMimeType, detectedExtension));
+            }
+            catch (SecurityException)
+            {
+                throw; // Re-throw security exceptions
+            }
+            catch (Exception ex)
+            {
+                throw new SecurityException(string.Format(Constants.Validation.FileValidationFailedMessageTemplate, fileName, ex.Message), ex);
+            }
+            finally
+            {
+                fileStream.Position = 0; // Reset stream position for subsequent operations
+            }
+        }
+
+        /// <summary>
+        /// Maps file extension to MIME type for validation purposes.
+        /// This is used because FileTypeChecker provides extension, not MIME type.
+        /// </summary>
+        private static string GetMimeTypeFromExtension(string extension)
+        {
+            // Normalize extension to lowercase without leading dot
+            var ext = extension?.ToLowerInvariant().TrimStart('.') ?? "";
+
+            return ext switch
+            {
+                // Images
+                "jpg" or "jpeg" => KnownMimeTypes.Jpeg,
+                "png" => KnownMimeTypes.Png,
+                "gif" => KnownMimeTypes.Gif,
+                "webp" => KnownMimeTypes.Webp,
+                "bmp" => KnownMimeTypes.Bmp,
+                "tif" or "tiff" => KnownMimeTypes.Tiff,
+                "svg" => KnownMimeTypes.Svg,
+
+                // Documents
+                "pdf" => KnownMimeTypes.Pdf,
+
+                // Videos
+                "mp4" => KnownMimeTypes.Mp4,
+                "mov" => KnownMimeTypes.Mov,
+                "avi" => KnownMimeTypes.Avi,
+                "mkv" => "video/x-matroska",  // NOTE: Not available in KnownMimeTypes
+                "webm" => KnownMimeTypes.Webm,
+
+                // Archives
+                "zip" => KnownMimeTypes.Zip,
+                "rar" => "application/x-rar-compressed",  // NOTE: Not available in KnownMimeTypes
+                "7z" => "application/x-7z-compressed",    // NOTE: Not available in KnownMimeTypes
+
+                // Unknown/default
+                _ => "application/octet-stream"  // NOTE: Generic binary - keeping as string for clarity
+            };
+        }
+    }
+}
@@ -0,0 +1,28 @@
+﻿using CheapHelpers.Services.Storage.Configuration;
+
+namespace CheapHelpers.Blazor.Helpers
+{
+    /// <summary>
+    /// Where <see cref="UploadFileStorage"/> stores a file, mirroring the UploadFile parameters
+    /// </summary>
+    public class UploadFileStorageOptions
+    {
+        /// <summary>
+        /// Store in <see cref="BlobContainer"/> instead of <see cref="UploadPath"/>
+        /// </summary>
+        public bool UseBlobStorage { get; set; }
+
+        public BlobContainers BlobContainer { get; set; } = BlobContainers.TempContainer;
+
+        /// <summary>
+        /// Directory for file system storage.
+        /// WARNING: SECURITY CRITICAL - must point to a trusted, controlled directory.
+        /// </summary>
+        public string? UploadPath { get; set; }
+
+        /// <summary>
+        /// Make the stored file name unique with a partial guid
+        /// </summary>
+        public bool AppendPartialGuid { get; set; } = true;
+    }
+}
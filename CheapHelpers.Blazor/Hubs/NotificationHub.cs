@@ -1,3 +1,4 @@
+using CheapHelpers.Blazor.Services;
 using Microsoft.AspNetCore.Authorization;
 using Microsoft.AspNetCore.SignalR;
 using System.Security.Claims;
@@ -7,8 +8,9 @@ namespace CheapHelpers.Blazor.Hubs;
 /// <summary>
 /// SignalR hub for real-time notification delivery to authenticated users
 /// </summary>
+/// <param name="realTimeService">Resyncs clients as they connect</param>
 [Authorize]
-public class NotificationHub : Hub
+public class NotificationHub(SignalRNotificationRealTimeService realTimeService) : Hub
 {
     /// <summary>
     /// Called when a client connects to the hub
@@ -20,6 +22,9 @@ public class NotificationHub : Hub
         if (!string.IsNullOrEmpty(userId))
         {
             await Groups.AddToGroupAsync(Context.ConnectionId, $"user_{userId}");
+
+            // Automatic reconnects get a new connection ID and come through here too
+            await realTimeService.ResyncConnectionAsync(Context.ConnectionId, userId, Context.ConnectionAborted);
         }
 
         await base.OnConnectedAsync();
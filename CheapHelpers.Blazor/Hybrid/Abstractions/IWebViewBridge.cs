@@ -1,3 +1,5 @@
+using CheapHelpers.Blazor.Hybrid.Models;
+
 namespace CheapHelpers.Blazor.Hybrid.Abstractions;
 
 /// <summary>
@@ -13,7 +15,8 @@ public interface IWebViewBridge<TData> where TData : class
     Task<TData?> ExtractDataAsync(string key);
 
     /// <summary>
-    /// Get all data from a specific storage type
+    /// Get all data from a specific storage type.
+    /// Only keys allowlisted in webview-bridge.js (storageKeys/cookieNames) are returned unless allowlistOnly is off.
     /// </summary>
     Task<Dictionary<string, string>> GetAllStorageAsync(StorageType storageType);
 
@@ -27,10 +30,60 @@ public interface IWebViewBridge<TData> where TData : class
     /// </summary>
     void StopMonitoring();
 
+    /// <summary>
+    /// Handle a message pushed by webview-bridge.js through a native transport.
+    /// Call this from the host's message handler (WebView2 WebMessageReceived, WKScriptMessageHandler,
+    /// Android JavascriptInterface, Photino RegisterWebMessageReceivedHandler) instead of polling.
+    /// </summary>
+    /// <returns>True if the message was a bridge message for this bridge's namespace</returns>
+    bool ReceiveMessage(string rawMessage);
+
+    /// <summary>
+    /// Run a webview-bridge.js command in the page (see WebViewBridgeCommands) and return its result.
+    /// Throws WebViewBridgeException when the command fails or times out.
+    /// </summary>
+    Task<TResult?> InvokeCommandAsync<TResult>(string command, object? args = null, TimeSpan? timeout = null, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Write a value to page storage
+    /// </summary>
+    Task SetStorageValueAsync(string key, string value, StorageType storageType = StorageType.LocalStorage);
+
+    /// <summary>
+    /// Remove a value from page storage
+    /// </summary>
+    Task RemoveStorageValueAsync(string key, StorageType storageType = StorageType.LocalStorage);
+
+    /// <summary>
+    /// Write a cookie in the page
+    /// </summary>
+    Task SetCookieAsync(WebViewCookie cookie);
+
+    /// <summary>
+    /// Dispatch a CustomEvent on the element matching selector (or document).
+    /// Returns false when a page listener called preventDefault().
+    /// </summary>
+    Task<bool> DispatchEventAsync(string eventName, object? detail = null, string? selector = null);
+
+    /// <summary>
+    /// Navigate the page to a URL
+    /// </summary>
+    Task NavigateAsync(string url, bool replace = false);
+
+    /// <summary>
+    /// Call a handler the page registered with bridge.registerHandler(name, fn)
+    /// </summary>
+    Task<TResult?> CallHandlerAsync<TResult>(string name, object? args = null, TimeSpan? timeout = null);
+
     /// <summary>
     /// Event triggered when monitored data changes
     /// </summary>
     event Action<TData?>? DataChanged;
+
+    /// <summary>
+    /// Event triggered with the per-key change records of each pushed dataChanged message
+    /// </summary>
+    event Action<IReadOnlyList<WebViewBridgeChange>>? ChangesReceived;
 }
 
 /// <summary>
@@ -54,6 +54,8 @@ public static class BlazorHybridServiceExtensions
         var bridgeConfig = new WebViewStorageBridgeConfig
         {
             MonitoredKeys = options.StorageKeys,
+            Namespace = options.Namespace,
+            RequestTimeout = options.RequestTimeout,
             PollingInterval = options.PollingInterval,
             DefaultStorageType = options.EnableCookies ? StorageType.Cookies : StorageType.LocalStorage
         };
@@ -178,6 +180,16 @@ public class WebViewBridgeOptions
     /// </summary>
     public string[] StorageKeys { get; set; } = [];
 
+    /// <summary>
+    /// Namespace passed to createWebViewBridge; pushed messages from other namespaces are ignored
+    /// </summary>
+    public string Namespace { get; set; } = "WebViewBridge";
+
+    /// <summary>
+    /// How long commands sent to the page wait for a response
+    /// </summary>
+    public TimeSpan RequestTimeout { get; set; } = TimeSpan.FromSeconds(10);
+
     /// <summary>
     /// Polling interval for monitoring changes
     /// </summary>
@@ -0,0 +1,42 @@
+using System.Text.Json;
+using System.Text.Json.Serialization;
+
+namespace CheapHelpers.Blazor.Hybrid.Models;
+
+/// <summary>
+/// One changed key in a <see cref="WebViewBridgeMessageTypes.DataChanged"/> message.
+/// Added keys have no <see cref="OldValue"/>, removed keys no <see cref="NewValue"/>.
+/// </summary>
+public class WebViewBridgeChange
+{
+    public const string LocalStorageSource = "localStorage";
+    public const string SessionStorageSource = "sessionStorage";
+    public const string CookieSource = "cookie";
+    public const string DomSource = "dom";
+    public const string UrlSource = "url";
+    public const string GlobalSource = "global";
+
+    /// <summary>
+    /// Storage key, cookie name, DOM selector, URL parameter or global variable name
+    /// </summary>
+    [JsonPropertyName("key")]
+    public string Key { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Where the key lives, one of the *Source constants
+    /// </summary>
+    [JsonPropertyName("source")]
+    public string Source { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Previous value (parsed as JSON where possible)
+    /// </summary>
+    [JsonPropertyName("oldValue")]
+    public JsonElement? OldValue { get; set; }
+
+    /// <summary>
+    /// Current value (parsed as JSON where possible)
+    /// </summary>
+    [JsonPropertyName("newValue")]
+    public JsonElement? NewValue { get; set; }
+}
@@ -0,0 +1,63 @@
+namespace CheapHelpers.Blazor.Hybrid.Models;
+
+/// <summary>
+/// Commands webview-bridge.js runs for <see cref="WebViewBridgeMessageTypes.Request"/> messages
+/// </summary>
+public static class WebViewBridgeCommands
+{
+    /// <summary>
+    /// Read a storage value. Args: key, storage ("localStorage" or "sessionStorage")
+    /// </summary>
+    public const string StorageGet = "storage.get";
+
+    /// <summary>
+    /// Read all entries of a storage. Args: storage
+    /// </summary>
+    public const string StorageGetAll = "storage.getAll";
+
+    /// <summary>
+    /// Write a storage value; non-string values are stored as JSON. Args: key, value, storage
+    /// </summary>
+    public const string StorageSet = "storage.set";
+
+    /// <summary>
+    /// Remove a storage value. Args: key, storage
+    /// </summary>
+    public const string StorageRemove = "storage.remove";
+
+    /// <summary>
+    /// Read a cookie. Args: name
+    /// </summary>
+    public const string CookieGet = "cookie.get";
+
+    /// <summary>
+    /// Read all cookies visible to the page
+    /// </summary>
+    public const string CookieGetAll = "cookie.getAll";
+
+    /// <summary>
+    /// Write a cookie. Args: see <see cref="WebViewCookie"/>
+    /// </summary>
+    public const string CookieSet = "cookie.set";
+
+    /// <summary>
+    /// Expire a cookie. Args: name, path, domain
+    /// </summary>
+    public const string CookieRemove = "cookie.remove";
+
+    /// <summary>
+    /// Dispatch a CustomEvent; result is false when a listener called preventDefault().
+    /// Args: event, detail, selector (default: document), bubbles
+    /// </summary>
+    public const string DomDispatch = "dom.dispatch";
+
+    /// <summary>
+    /// Navigate the page (http, https or the page's own scheme). Args: url, replace
+    /// </summary>
+    public const string Navigate = "navigate";
+
+    /// <summary>
+    /// Call a handler the page registered with bridge.registerHandler(name, fn). Args: name, args
+    /// </summary>
+    public const string HandlerCall = "handler.call";
+}
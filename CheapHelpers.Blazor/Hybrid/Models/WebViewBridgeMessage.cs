@@ -0,0 +1,93 @@
+using System.Diagnostics;
+using System.Text.Json;
+using System.Text.Json.Serialization;
+
+namespace CheapHelpers.Blazor.Hybrid.Models;
+
+/// <summary>
+/// Typed envelope that webview-bridge.js pushes to the host over a native transport
+/// (WebView2, WKWebView, Android JavascriptInterface, Photino or the window callback)
+/// </summary>
+public class WebViewBridgeMessage
+{
+    /// <summary>
+    /// Marker set by webview-bridge.js on every message
+    /// </summary>
+    public const string BridgeSource = "webview-bridge";
+
+    /// <summary>
+    /// Always <see cref="BridgeSource"/> for bridge messages
+    /// </summary>
+    [JsonPropertyName("source")]
+    public string Source { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Envelope version
+    /// </summary>
+    [JsonPropertyName("version")]
+    public int Version { get; set; }
+
+    /// <summary>
+    /// Namespace of the bridge instance that sent the message
+    /// </summary>
+    [JsonPropertyName("namespace")]
+    public string Namespace { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Message type, see <see cref="WebViewBridgeMessageTypes"/>
+    /// </summary>
+    [JsonPropertyName("type")]
+    public string Type { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Correlation id shared by a request and its response
+    /// </summary>
+    [JsonPropertyName("id")]
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public string? Id { get; set; }
+
+    /// <summary>
+    /// Unix time in milliseconds when the message was sent
+    /// </summary>
+    [JsonPropertyName("timestamp")]
+    public long Timestamp { get; set; }
+
+    /// <summary>
+    /// Message payload; for <see cref="WebViewBridgeMessageTypes.DataChanged"/> <c>{ changes }</c>
+    /// (see <see cref="WebViewBridgeChange"/>), for requests <c>{ command, args }</c> and for
+    /// responses <c>{ ok, result, error: { code, message } }</c>
+    /// </summary>
+    [JsonPropertyName("payload")]
+    public JsonElement? Payload { get; set; }
+
+    /// <summary>
+    /// Parse a raw message received from a WebView host.
+    /// Accepts the JSON envelope or the envelope encoded once more as a JSON string
+    /// (e.g. WebView2's WebMessageAsJson). Returns null for anything that is not a bridge message.
+    /// </summary>
+    public static WebViewBridgeMessage? Parse(string? rawMessage)
+    {
+        if (string.IsNullOrWhiteSpace(rawMessage))
+            return null;
+
+        try
+        {
+            using var document = JsonDocument.Parse(rawMessage);
+            var root = document.RootElement;
+
+            if (root.ValueKind == JsonValueKind.String)
+                return Parse(root.GetString());
+
+            if (root.ValueKind != JsonValueKind.Object)
+                return null;
+
+            var message = root.Deserialize<WebViewBridgeMessage>();
+            return message?.Source == BridgeSource ? message : null;
+        }
+        catch (JsonException ex)
+        {
+            Debug.WriteLine($"WebViewBridgeMessage: Failed to parse message: {ex.Message}");
+            return null;
+        }
+    }
+}
@@ -0,0 +1,27 @@
+namespace CheapHelpers.Blazor.Hybrid.Models;
+
+/// <summary>
+/// Message types sent by webview-bridge.js in <see cref="WebViewBridgeMessage.Type"/>
+/// </summary>
+public static class WebViewBridgeMessageTypes
+{
+    /// <summary>
+    /// Bridge initialized; payload lists the resolved transports
+    /// </summary>
+    public const string Ready = "ready";
+
+    /// <summary>
+    /// Monitored data changed; payload is <c>{ changes: [{ key, source, oldValue, newValue }] }</c>
+    /// </summary>
+    public const string DataChanged = "dataChanged";
+
+    /// <summary>
+    /// Host-to-page command; payload is <c>{ command, args }</c>, see <see cref="WebViewBridgeCommands"/>
+    /// </summary>
+    public const string Request = "request";
+
+    /// <summary>
+    /// Page reply to a request with the same id
+    /// </summary>
+    public const string Response = "response";
+}
@@ -0,0 +1,51 @@
+using System.Text.Json.Serialization;
+
+namespace CheapHelpers.Blazor.Hybrid.Models;
+
+/// <summary>
+/// Cookie written into the page through the WebView bridge
+/// </summary>
+public class WebViewCookie
+{
+    /// <summary>
+    /// Cookie name
+    /// </summary>
+    [JsonPropertyName("name")]
+    public string Name { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Cookie value
+    /// </summary>
+    [JsonPropertyName("value")]
+    public string Value { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Cookie path
+    /// </summary>
+    [JsonPropertyName("path")]
+    public string Path { get; set; } = "/";
+
+    /// <summary>
+    /// Cookie domain (defaults to the page host)
+    /// </summary>
+    [JsonPropertyName("domain")]
+    public string? Domain { get; set; }
+
+    /// <summary>
+    /// Lifetime in seconds; null for a session cookie
+    /// </summary>
+    [JsonPropertyName("maxAge")]
+    public int? MaxAgeSeconds { get; set; }
+
+    /// <summary>
+    /// SameSite policy ("strict", "lax" or "none")
+    /// </summary>
+    [JsonPropertyName("sameSite")]
+    public string? SameSite { get; set; }
+
+    /// <summary>
+    /// Only send over HTTPS
+    /// </summary>
+    [JsonPropertyName("secure")]
+    public bool Secure { get; set; }
+}
@@ -0,0 +1,15 @@
+namespace CheapHelpers.Blazor.Hybrid.WebView;
+
+/// <summary>
+/// A WebView bridge command failed in the page or did not answer in time
+/// </summary>
+public class WebViewBridgeException(string code, string message, Exception? innerException = null)
+    : Exception(message, innerException)
+{
+    /// <summary>
+    /// Error code reported by webview-bridge.js (e.g. "timeout", "unknownCommand", "unknownHandler",
+    /// "invalidArgs", "notFound", "commandFailed"), "invalidResponse" for malformed replies or
+    /// "transportFailed" when the request could not be delivered to the page
+    /// </summary>
+    public string Code { get; } = code;
+}
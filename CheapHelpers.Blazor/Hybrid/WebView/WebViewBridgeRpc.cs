@@ -0,0 +1,128 @@
+using System.Collections.Concurrent;
+using System.Text.Json;
+using CheapHelpers.Blazor.Hybrid.Models;
+
+namespace CheapHelpers.Blazor.Hybrid.WebView;
+
+/// <summary>
+/// Request/response channel to webview-bridge.js. Requests carry a correlation id, fail with a
+/// "timeout" <see cref="WebViewBridgeException"/> when no response arrives in time, with
+/// "transportFailed" when the request can't be delivered, and error responses from the page are
+/// rethrown as <see cref="WebViewBridgeException"/>.
+/// </summary>
+/// <param name="bridgeNamespace">Namespace passed to createWebViewBridge</param>
+/// <param name="send">
+/// Delivers a serialized request to the page. Return the response when the transport is
+/// request/response (IJSRuntime calling <c>{namespace}.handleRequest</c>), or null when the response
+/// arrives later as a message that the host passes to <see cref="ReceiveMessage(string)"/>.
+/// </param>
+/// <param name="defaultTimeout">Timeout for requests that don't specify one</param>
+public class WebViewBridgeRpc(
+    string bridgeNamespace,
+    Func<string, CancellationToken, Task<string?>> send,
+    TimeSpan defaultTimeout)
+{
+    private static readonly JsonSerializerOptions JsonOptions = new(JsonSerializerDefaults.Web);
+
+    private readonly ConcurrentDictionary<string, TaskCompletionSource<WebViewBridgeMessage>> _pending = new();
+
+    /// <summary>
+    /// Run a command in the page and return its result
+    /// </summary>
+    /// <exception cref="WebViewBridgeException">The command failed or timed out</exception>
+    public async Task<TResult?> InvokeAsync<TResult>(
+        string command,
+        object? args = null,
+        TimeSpan? timeout = null,
+        CancellationToken cancellationToken = default)
+    {
+        var id = Guid.NewGuid().ToString("N");
+        var effectiveTimeout = timeout ?? defaultTimeout;
+        var request = JsonSerializer.Serialize(new WebViewBridgeMessage
+        {
+            Source = WebViewBridgeMessage.BridgeSource,
+            Version = 1,
+            Namespace = bridgeNamespace,
+            Type = WebViewBridgeMessageTypes.Request,
+            Id = id,
+            Timestamp = DateTimeOffset.UtcNow.ToUnixTimeMilliseconds(),
+            Payload = JsonSerializer.SerializeToElement(new { command, args }, JsonOptions)
+        });
+
+        var pending = new TaskCompletionSource<WebViewBridgeMessage>(TaskCreationOptions.RunContinuationsAsynchronously);
+        _pending[id] = pending;
+
+        using var timeoutCts = CancellationTokenSource.CreateLinkedTokenSource(cancellationToken);
+        timeoutCts.CancelAfter(effectiveTimeout);
+
+        try
+        {
+            string? response;
+            try
+            {
+                response = await send(request, timeoutCts.Token);
+            }
+            catch (Exception ex) when (ex is not OperationCanceledException)
+            {
+                // Typically a JSException: webview-bridge.js isn't loaded, or runs under another namespace
+                throw new WebViewBridgeException("transportFailed", $"'{command}' could not be delivered to the page: {ex.Message}", ex);
+            }
+
+            if (response is not null)
+            {
+                ReceiveMessage(response);
+            }
+
+            var message = await pending.Task.WaitAsync(timeoutCts.Token);
+            return ReadResult<TResult>(command, message);
+        }
+        catch (OperationCanceledException) when (!cancellationToken.IsCancellationRequested)
+        {
+            throw new WebViewBridgeException("timeout", $"'{command}' did not complete within {effectiveTimeout.TotalMilliseconds}ms");
+        }
+        finally
+        {
+            _pending.TryRemove(id, out _);
+        }
+    }
+
+    /// <summary>
+    /// Complete the pending request a response message belongs to
+    /// </summary>
+    /// <returns>True if the message answered a pending request</returns>
+    public bool ReceiveMessage(string rawMessage) => ReceiveMessage(WebViewBridgeMessage.Parse(rawMessage));
+
+    /// <inheritdoc cref="ReceiveMessage(string)"/>
+    public bool ReceiveMessage(WebViewBridgeMessage? message)
+    {
+        if (message is not { Type: WebViewBridgeMessageTypes.Response, Id: not null } || message.Namespace != bridgeNamespace)
+            return false;
+
+        return _pending.TryGetValue(message.Id, out var pending) && pending.TrySetResult(message);
+    }
+
+    private static TResult? ReadResult<TResult>(string command, WebViewBridgeMessage message)
+    {
+        if (message.Payload is not { ValueKind: JsonValueKind.Object } payload)
+            throw new WebViewBridgeException("invalidResponse", $"'{command}' returned a response without a payload");
+
+        if (payload.TryGetProperty("ok", out var ok) && ok.ValueKind == JsonValueKind.True)
+        {
+            return payload.TryGetProperty("result", out var result)
+                ? result.Deserialize<TResult>(JsonOptions)
+                : default;
+        }
+
+        var code = "commandFailed";
+        var errorMessage = $"'{command}' failed";
+        if (payload.TryGetProperty("error", out var error) && error.ValueKind == JsonValueKind.Object)
+        {
+            if (error.TryGetProperty("code", out var codeElement) && codeElement.ValueKind == JsonValueKind.String)
+                code = codeElement.GetString()!;
+            if (error.TryGetProperty("message", out var messageElement) && messageElement.ValueKind == JsonValueKind.String)
+                errorMessage = messageElement.GetString()!;
+        }
+
+        throw new WebViewBridgeException(code, errorMessage);
+    }
+}
@@ -1,5 +1,7 @@
 using System.Diagnostics;
+using System.Text.Json;
 using CheapHelpers.Blazor.Hybrid.Abstractions;
+using CheapHelpers.Blazor.Hybrid.Models;
 using Microsoft.JSInterop;
 
 namespace CheapHelpers.Blazor.Hybrid.WebView;
@@ -7,18 +9,22 @@ namespace CheapHelpers.Blazor.Hybrid.WebView;
 /// <summary>
 /// Default implementation of <see cref="IWebViewBridge{TData}"/> that extracts typed data
 /// from WebView storage (localStorage, sessionStorage, cookies) via JS interop.
-/// Supports periodic polling for change detection.
+/// All page access goes through the webview-bridge.js command channel (<see cref="WebViewBridgeRpc"/>),
+/// so webview-bridge.js must be loaded with the configured namespace.
+/// Supports periodic polling for change detection, or pushes from webview-bridge.js via <see cref="ReceiveMessage"/>.
 /// </summary>
 /// <typeparam name="TData">The type of data to extract and deserialize from storage.</typeparam>
 public class WebViewStorageBridge<TData>(
     IJSRuntime jsRuntime,
     WebViewStorageBridgeConfig config) : IWebViewBridge<TData>, IDisposable where TData : class
 {
+    private WebViewBridgeRpc? _rpc;
     private CancellationTokenSource? _monitoringCts;
     private TData? _lastKnownData;
     private bool _disposed;
 
     public event Action<TData?>? DataChanged;
+    public event Action<IReadOnlyList<WebViewBridgeChange>>? ChangesReceived;
 
     public async Task<TData?> ExtractDataAsync(string key)
     {
@@ -39,27 +45,11 @@ public class WebViewStorageBridge<TData>(
     {
         try
         {
-            var jsStorageName = storageType switch
-            {
-                StorageType.LocalStorage => "localStorage",
-                StorageType.SessionStorage => "sessionStorage",
-                StorageType.Cookies => throw new NotSupportedException("Use GetAllCookiesAsync for cookie enumeration"),
-                _ => "localStorage"
-            };
+            var entries = storageType == StorageType.Cookies
+                ? await Rpc.InvokeAsync<Dictionary<string, string?>>(WebViewBridgeCommands.CookieGetAll)
+                : await Rpc.InvokeAsync<Dictionary<string, string?>>(WebViewBridgeCommands.StorageGetAll, new { storage = ToJsStorageName(storageType) });
 
-            var script = $@"
-                (() => {{
-                    const storage = {jsStorageName};
-                    const entries = {{}};
-                    for (let i = 0; i < storage.length; i++) {{
-                        const key = storage.key(i);
-                        entries[key] = storage.getItem(key);
-                    }}
-                    return JSON.stringify(entries);
-                }})()";
-
-            var rawJson = await jsRuntime.InvokeAsync<string>("eval", script);
-            return WebViewJsonParser.ParseJson<Dictionary<string, string>>(rawJson) ?? [];
+            return entries?.ToDictionary(entry => entry.Key, entry => entry.Value ?? string.Empty) ?? [];
         }
         catch (Exception ex)
         {
@@ -121,21 +111,107 @@ public class WebViewStorageBridge<TData>(
         }
     }
 
-    private async Task<string?> ReadStorageValueAsync(string key, StorageType storageType)
+    public bool ReceiveMessage(string rawMessage)
+    {
+        var message = WebViewBridgeMessage.Parse(rawMessage);
+        if (message is null || message.Namespace != config.Namespace)
+            return false;
+
+        Debug.WriteLine($"WebViewStorageBridge: Received '{message.Type}' message");
+
+        if (message.Type == WebViewBridgeMessageTypes.Response)
+            return Rpc.ReceiveMessage(message);
+
+        if (message.Type == WebViewBridgeMessageTypes.DataChanged &&
+            message.Payload is { ValueKind: JsonValueKind.Object } payload &&
+            payload.TryGetProperty("changes", out var changesElement) &&
+            changesElement.ValueKind == JsonValueKind.Array)
+        {
+            var changes = DeserializeOrDefault<List<WebViewBridgeChange>>(changesElement) ?? [];
+            ChangesReceived?.Invoke(changes);
+
+            // DataChanged follows the same storage ExtractDataAsync reads from
+            var source = config.DefaultStorageType switch
+            {
+                StorageType.SessionStorage => WebViewBridgeChange.SessionStorageSource,
+                StorageType.Cookies => WebViewBridgeChange.CookieSource,
+                _ => WebViewBridgeChange.LocalStorageSource
+            };
+
+            foreach (var change in changes.Where(c => c.Source == source && config.MonitoredKeys.Contains(c.Key)))
+            {
+                // Values the bridge could not parse as JSON arrive as strings and may still be escaped
+                _lastKnownData = change.NewValue switch
+                {
+                    null => null,
+                    { ValueKind: JsonValueKind.String } value => WebViewJsonParser.ParseJson<TData>(value.GetString()),
+                    { } value => DeserializeOrDefault<TData>(value)
+                };
+                DataChanged?.Invoke(_lastKnownData);
+                Debug.WriteLine($"WebViewStorageBridge: Data pushed for key '{change.Key}'");
+            }
+        }
+
+        return true;
+    }
+
+    public Task<TResult?> InvokeCommandAsync<TResult>(string command, object? args = null, TimeSpan? timeout = null, CancellationToken cancellationToken = default) =>
+        Rpc.InvokeAsync<TResult>(command, args, timeout, cancellationToken);
+
+    public async Task SetStorageValueAsync(string key, string value, StorageType storageType = StorageType.LocalStorage)
     {
-        var script = storageType switch
+        if (storageType == StorageType.Cookies)
         {
-            StorageType.LocalStorage => $"localStorage.getItem('{EscapeJsString(key)}')",
-            StorageType.SessionStorage => $"sessionStorage.getItem('{EscapeJsString(key)}')",
-            StorageType.Cookies => $"document.cookie.split('; ').find(c => c.startsWith('{EscapeJsString(key)}='))?.split('=').slice(1).join('=')",
-            _ => $"localStorage.getItem('{EscapeJsString(key)}')"
-        };
+            await SetCookieAsync(new WebViewCookie { Name = key, Value = value });
+            return;
+        }
 
-        return await jsRuntime.InvokeAsync<string?>("eval", script);
+        await Rpc.InvokeAsync<object>(WebViewBridgeCommands.StorageSet, new { key, value, storage = ToJsStorageName(storageType) });
     }
 
-    private static string EscapeJsString(string input) =>
-        input.Replace("\\", "\\\\").Replace("'", "\\'");
+    public Task RemoveStorageValueAsync(string key, StorageType storageType = StorageType.LocalStorage) =>
+        storageType == StorageType.Cookies
+            ? Rpc.InvokeAsync<object>(WebViewBridgeCommands.CookieRemove, new { name = key })
+            : Rpc.InvokeAsync<object>(WebViewBridgeCommands.StorageRemove, new { key, storage = ToJsStorageName(storageType) });
+
+    public Task SetCookieAsync(WebViewCookie cookie) =>
+        Rpc.InvokeAsync<object>(WebViewBridgeCommands.CookieSet, cookie);
+
+    public Task<bool> DispatchEventAsync(string eventName, object? detail = null, string? selector = null) =>
+        Rpc.InvokeAsync<bool>(WebViewBridgeCommands.DomDispatch, new { @event = eventName, detail, selector });
+
+    public Task NavigateAsync(string url, bool replace = false) =>
+        Rpc.InvokeAsync<object>(WebViewBridgeCommands.Navigate, new { url, replace });
+
+    public Task<TResult?> CallHandlerAsync<TResult>(string name, object? args = null, TimeSpan? timeout = null) =>
+        Rpc.InvokeAsync<TResult>(WebViewBridgeCommands.HandlerCall, new { name, args }, timeout);
+
+    private async Task<string?> ReadStorageValueAsync(string key, StorageType storageType) =>
+        storageType == StorageType.Cookies
+            ? await Rpc.InvokeAsync<string>(WebViewBridgeCommands.CookieGet, new { name = key })
+            : await Rpc.InvokeAsync<string>(WebViewBridgeCommands.StorageGet, new { key, storage = ToJsStorageName(storageType) });
+
+    // Blazor calls {namespace}.handleRequest directly, so responses come back as the call's return value
+    private WebViewBridgeRpc Rpc => _rpc ??= new WebViewBridgeRpc(
+        config.Namespace,
+        (request, ct) => jsRuntime.InvokeAsync<string?>($"{config.Namespace}.handleRequest", ct, request).AsTask(),
+        config.RequestTimeout);
+
+    private static string ToJsStorageName(StorageType storageType) =>
+        storageType == StorageType.SessionStorage ? "sessionStorage" : "localStorage";
+
+    private static T? DeserializeOrDefault<T>(JsonElement value) where T : class
+    {
+        try
+        {
+            return value.Deserialize<T>();
+        }
+        catch (JsonException ex)
+        {
+            Debug.WriteLine($"WebViewStorageBridge: Failed to deserialize pushed data: {ex.Message}");
+            return null;
+        }
+    }
 
     public void Dispose()
     {
@@ -153,6 +229,8 @@ public class WebViewStorageBridge<TData>(
 public class WebViewStorageBridgeConfig
 {
     public string[] MonitoredKeys { get; init; } = [];
+    public string Namespace { get; init; } = "WebViewBridge";
+    public TimeSpan RequestTimeout { get; init; } = TimeSpan.FromSeconds(10);
     public StorageType DefaultStorageType { get; init; } = StorageType.LocalStorage;
     public TimeSpan PollingInterval { get; init; } = TimeSpan.FromSeconds(3);
 }
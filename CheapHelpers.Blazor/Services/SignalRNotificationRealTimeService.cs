@@ -10,9 +10,11 @@ namespace CheapHelpers.Blazor.Services;
 /// SignalR-based implementation of real-time notification delivery service
 /// </summary>
 /// <param name="hubContext">Hub context for sending messages to connected clients</param>
+/// <param name="notificationService">In-app notification store, used to resync reconnecting clients</param>
 /// <param name="logger">Logger for tracking notification delivery</param>
 public class SignalRNotificationRealTimeService(
     IHubContext<NotificationHub> hubContext,
+    IInAppNotificationService notificationService,
     ILogger<SignalRNotificationRealTimeService> logger) : INotificationRealTimeService
 {
     /// <summary>
@@ -50,4 +52,26 @@ public class SignalRNotificationRealTimeService(
         logger.LogDebug("Broadcasting real-time notification {NotificationId} to all users", notification.Id);
         await hubContext.Clients.All.SendAsync("ReceiveNotification", notification, ct);
     }
+
+    /// <summary>
+    /// Sends the user's current unread count to a single connection as "ResyncNotifications".
+    /// Groups don't replay messages, so a client that reconnects has to catch up on what it missed.
+    /// </summary>
+    /// <param name="connectionId">ID of the connection to resync</param>
+    /// <param name="userId">ID of the user that owns the connection</param>
+    /// <param name="ct">Cancellation token</param>
+    public async Task ResyncConnectionAsync(string connectionId, string userId, CancellationToken ct)
+    {
+        try
+        {
+            var unreadCount = await notificationService.GetUnreadCountAsync(userId, ct: ct);
+            logger.LogDebug("Resyncing connection {ConnectionId} of user {UserId} with {UnreadCount} unread notifications", connectionId, userId, unreadCount);
+            await hubContext.Clients.Client(connectionId).SendAsync("ResyncNotifications", unreadCount, ct);
+        }
+        catch (Exception ex) when (ex is not OperationCanceledException)
+        {
+            // The connection still receives new notifications, it just starts from a stale count
+            logger.LogWarning(ex, "Failed to resync connection {ConnectionId} of user {UserId}", connectionId, userId);
+        }
+    }
 }
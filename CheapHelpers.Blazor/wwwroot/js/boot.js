@@ -1,87 +1,447 @@
-﻿window.blazorIsConnected = function () {
-    // Check if Blazor exists and has internal components initialized
-    if (!Blazor || !Blazor._internal || !Blazor._internal.navigationManager) {
-        return false; // Explicitly return false instead of undefined/null
-    }
-
-    // Return true only if explicitly connected
-    return Blazor._internal.navigationManager._isConnected === true;
-};
-
-window.registerConnectionRestoredCallback = function (dotNetRef, methodName) {
-    window.connectionCallbacks = window.connectionCallbacks || [];
-    window.connectionCallbacks.push({ dotNetRef, methodName });
-};
-
-(() => {
-    const maximumRetryCount = 3;
-    const retryIntervalMilliseconds = 1000 * 3;
-    const reconnectModal = document.getElementById('reconnect-modal');
+﻿(() => {
+    // Connection lifecycle events. JS handlers run synchronously; DotNetObjectReference subscribers
+    // can't be reached while a Server circuit is down, so their down/reconnecting events are
+    // buffered and delivered in order right before connectionUp.
+    const connectionEvents = ['connectionDown', 'reconnecting', 'connectionUp', 'reloadPending'];
+    const handlers = Object.fromEntries(connectionEvents.map(name => [name, []]));
+    const dotNetSubscriptions = [];
+    const undeliveredEvents = [];
+    let isConnected = false;
 
-    const startReconnectionProcess = () => {
-        reconnectModal.style.display = 'block';
+    const invokeDotNet = (subscription, name, payload) => {
+        const methodName = subscription.methods[name];
+        if (!methodName || !subscription.dotNetRef || typeof subscription.dotNetRef.invokeMethodAsync !== 'function') {
+            return;
+        }
 
-        let isCanceled = false;
+        // registerConnectionRestoredCallback predates the payload objects and uses positional arguments
+        const args = !subscription.legacy ? [payload]
+            : name === 'reconnecting' ? [payload.attempt, payload.maxAttempts, payload.delayMs]
+            : [];
 
-        (async () => {
-            for (let i = 0; i < maximumRetryCount; i++) {
-                reconnectModal.innerText = `Attempting to reconnect: ${i + 1} of ${maximumRetryCount}`;
+        subscription.dotNetRef.invokeMethodAsync(methodName, ...args).catch(error => {
+            if (name === 'connectionDown' || name === 'reconnecting') {
+                undeliveredEvents.push({ subscription, name, payload });
+            } else if (name === 'connectionUp') {
+                console.error(`Error invoking ${name} callback:`, error);
+            }
+        });
+    };
+
+    const emit = (name, payload) => {
+        if (name === 'connectionUp') {
+            undeliveredEvents.splice(0).forEach(pending => {
+                if (dotNetSubscriptions.includes(pending.subscription)) {
+                    invokeDotNet(pending.subscription, pending.name, pending.payload);
+                }
+            });
+        }
+
+        handlers[name].slice().forEach(handler => {
+            try {
+                handler(payload);
+            } catch (error) {
+                console.error(`Error in ${name} handler:`, error);
+            }
+        });
+        dotNetSubscriptions.slice().forEach(subscription => invokeDotNet(subscription, name, payload));
+    };
+
+    const on = name => handler => {
+        handlers[name].push(handler);
+        return () => {
+            const index = handlers[name].indexOf(handler);
+            if (index >= 0) {
+                handlers[name].splice(index, 1);
+            }
+        };
+    };
 
-                await new Promise(resolve => setTimeout(resolve, retryIntervalMilliseconds));
+    const subscribeDotNet = (dotNetRef, methods, legacy = false) => {
+        const subscription = { dotNetRef, methods: methods || {}, legacy };
+        dotNetSubscriptions.push(subscription);
 
-                if (isCanceled) {
+        // Returned to .NET as an IJSObjectReference: await handle.InvokeVoidAsync("dispose")
+        return {
+            dispose: () => {
+                const index = dotNetSubscriptions.indexOf(subscription);
+                if (index >= 0) {
+                    dotNetSubscriptions.splice(index, 1);
+                }
+            }
+        };
+    };
+
+    window.blazorConnection = {
+        isConnected: () => isConnected,
+        onConnectionDown: on('connectionDown'),
+        onReconnecting: on('reconnecting'),
+        onConnectionUp: on('connectionUp'),
+        onReloadPending: on('reloadPending'),
+        // methods: { connectionDown, reconnecting, connectionUp, reloadPending } → [JSInvokable] method names
+        subscribe: (dotNetRef, methods) => subscribeDotNet(dotNetRef, methods)
+    };
+
+    window.blazorIsConnected = () => isConnected;
+
+    window.registerConnectionRestoredCallback = function (dotNetRef, methodName, attemptMethodName) {
+        return subscribeDotNet(dotNetRef, { connectionUp: methodName, reconnecting: attemptMethodName }, true);
+    };
+
+    // Unsaved-state snapshots. Serializers run in JS because the circuit is usually gone when boot.js
+    // reloads, so .NET components push their latest state through the handle returned by attach().
+    const snapshotPrefix = 'cheapHelpers.snapshot.';
+    const serializers = new Map();
+
+    const persistSnapshots = reason => {
+        serializers.forEach((serialize, key) => {
+            try {
+                const value = serialize();
+
+                // Nothing unsaved; keep whatever an earlier reload stored until it's taken
+                if (value === undefined || value === null) {
                     return;
                 }
 
-                try {
-                    const result = await Blazor.reconnect();
-                    if (!result) {
-                        // The server was reached, but the connection was rejected; reload the page.
-                        location.reload();
+                sessionStorage.setItem(snapshotPrefix + key, JSON.stringify({ value, savedAt: Date.now(), reason }));
+            } catch (error) {
+                console.error(`Error saving snapshot "${key}":`, error);
+            }
+        });
+    };
+
+    const readSnapshot = key => {
+        try {
+            const stored = sessionStorage.getItem(snapshotPrefix + key);
+            return stored !== null ? JSON.parse(stored) : null;
+        } catch {
+            return null;
+        }
+    };
+
+    const removeSnapshot = key => {
+        try {
+            sessionStorage.removeItem(snapshotPrefix + key);
+        } catch {
+            // sessionStorage unavailable (privacy mode); nothing was stored either
+        }
+    };
+
+    const registerSerializer = (key, serializer) => {
+        serializers.set(key, serializer);
+        return () => {
+            if (serializers.get(key) === serializer) {
+                serializers.delete(key);
+            }
+        };
+    };
+
+    window.blazorSnapshots = {
+        // serializer: () => JSON-serializable state, or null when there is nothing unsaved
+        register: registerSerializer,
+        // Returns { value, savedAt, reason } from before the reload and forgets it, or null
+        take: key => {
+            const snapshot = readSnapshot(key);
+            removeSnapshot(key);
+            return snapshot;
+        },
+        // .NET: offers a stored snapshot to restoreMethodName, then keeps the state pushed through update()
+        attach: (key, dotNetRef, restoreMethodName) => {
+            let state = null;
+            const unregister = registerSerializer(key, () => state);
+
+            const snapshot = readSnapshot(key);
+            if (snapshot && restoreMethodName && dotNetRef && typeof dotNetRef.invokeMethodAsync === 'function') {
+                dotNetRef.invokeMethodAsync(restoreMethodName, snapshot)
+                    .then(() => removeSnapshot(key))
+                    .catch(error => console.error(`Error restoring snapshot "${key}":`, error));
+            }
+
+            return {
+                update: value => {
+                    state = value ?? null;
+                },
+                dispose: unregister
+            };
+        }
+    };
+
+    handlers.reloadPending.push(({ reason }) => persistSnapshots(reason));
+
+    // Reloading by hand (F5 on the reconnect overlay) doesn't go through reloadPending.
+    // reload() already persisted with the real reason, which 'unload' must not overwrite.
+    window.addEventListener('pagehide', () => {
+        if (currentReconnectionProcess !== null && !reloading) {
+            persistSnapshots('unload');
+        }
+    });
+
+    // Rendered by the ReconnectionSettings component from CheapHelpersBlazorOptions.Reconnection
+    const { strings: localizedStrings, ...configuredPolicy } = window.cheapHelpersReconnection || {};
+    const policy = Object.assign({
+        maxAttempts: 3,
+        maxDurationMs: null,
+        initialDelayMs: 1000 * 3,
+        maxDelayMs: 1000 * 30,
+        backoffMultiplier: 1,
+        jitter: 0,
+        pauseWhileOffline: true,
+        pauseWhileHidden: false,
+        autoReload: true
+    }, configuredPolicy);
+    const strings = Object.assign({
+        reconnecting: 'Attempting to reconnect: {attempt} of {maxAttempts}',
+        reconnectingUnlimited: 'Attempting to reconnect: {attempt}',
+        retryingIn: 'Next attempt in {seconds}s',
+        offline: 'You are offline. Reconnecting as soon as the network is back.',
+        paused: 'Connection lost. Reconnecting when the page is visible again.',
+        unreachable: 'Unable to reach the server. Reload the page to continue.',
+        rejected: 'Your session has ended. Reload the page to continue.'
+    }, localizedStrings);
+
+    const format = (text, values) => text.replace(/\{(\w+)\}/g, (match, name) => values[name] ?? match);
+
+    // #reconnect-modal is either a template with data-reconnect-* hooks (see the ReconnectModal component),
+    // a plain element that receives the message as text, or missing, in which case nothing is shown
+    const showReconnectModal = (state, values = {}) => {
+        const modal = document.getElementById('reconnect-modal');
+        if (!modal) {
+            return;
+        }
+
+        const template = state === 'reconnecting' && policy.maxAttempts == null ? strings.reconnectingUnlimited : strings[state];
+        const message = format(template, { maxAttempts: policy.maxAttempts, ...values });
+
+        modal.style.display = 'block';
+        modal.setAttribute('data-reconnect-state', state);
+
+        const messageElement = modal.querySelector('[data-reconnect-message]');
+        if (!messageElement) {
+            modal.innerText = message;
+            return;
+        }
+
+        messageElement.textContent = message;
+        modal.querySelectorAll('[data-reconnect-countdown]').forEach(element => {
+            element.textContent = values.seconds != null ? format(strings.retryingIn, values) : '';
+        });
+        modal.querySelectorAll('[data-reconnect-states]').forEach(element => {
+            element.hidden = !element.getAttribute('data-reconnect-states').split(' ').includes(state);
+        });
+    };
+
+    const hideReconnectModal = () => {
+        const modal = document.getElementById('reconnect-modal');
+        if (modal) {
+            modal.style.display = 'none';
+            modal.removeAttribute('data-reconnect-state');
+        }
+    };
+
+    const isPaused = () =>
+        (policy.pauseWhileOffline && navigator.onLine === false) ||
+        (policy.pauseWhileHidden && document.visibilityState === 'hidden');
+
+    const delayFor = attempt => {
+        const delay = Math.min(policy.initialDelayMs * Math.pow(policy.backoffMultiplier, attempt - 1), policy.maxDelayMs);
+        const spread = delay * policy.jitter;
+        return Math.max(0, Math.round(delay - spread + Math.random() * spread * 2));
+    };
+
+    // state is 'unreachable' (out of attempts) or 'rejected' (the server no longer knows the circuit)
+    let reloading = false;
+    const reload = reason => {
+        reloading = true;
+        emit('reloadPending', { reason });
+        location.reload();
+    };
+
+    const giveUp = state => {
+        showReconnectModal(state);
+
+        if (policy.autoReload) {
+            reload(state);
+        }
+    };
+
+    const startReconnectionProcess = () => {
+        let isCanceled = false;
+        let isFinished = false;
+        let isWaitingForResume = false;
+        let retryRequested = false;
+        let interrupt = null;
+        let pausedMilliseconds = 0;
+        const startedAt = Date.now();
+
+        // Resolves after ms, or when interrupted; null waits until interrupted
+        const wait = ms => new Promise(resolve => {
+            const timer = ms === null ? null : setTimeout(resolve, ms);
+            interrupt = () => {
+                clearTimeout(timer);
+                resolve();
+            };
+        });
+
+        const countdown = async (attempt, delayMs) => {
+            const deadline = Date.now() + delayMs;
+            const render = () => showReconnectModal('reconnecting', { attempt, seconds: Math.max(0, Math.ceil((deadline - Date.now()) / 1000)) });
+
+            render();
+            const ticker = setInterval(render, 1000);
+            try {
+                await wait(delayMs);
+            } finally {
+                clearInterval(ticker);
+            }
+        };
+
+        const onEnvironmentChanged = () => {
+            if (isWaitingForResume && !isPaused()) {
+                interrupt?.();
+            }
+        };
+
+        const waitWhilePaused = async () => {
+            const pausedAt = Date.now();
+            isWaitingForResume = true;
+
+            while (!isCanceled && !retryRequested && isPaused()) {
+                showReconnectModal(navigator.onLine === false ? 'offline' : 'paused');
+                await wait(null);
+            }
+
+            isWaitingForResume = false;
+            pausedMilliseconds += Date.now() - pausedAt;
+        };
+
+        const isOutOfBudget = attempt =>
+            (policy.maxAttempts != null && attempt > policy.maxAttempts) ||
+            (policy.maxDurationMs != null && Date.now() - startedAt - pausedMilliseconds >= policy.maxDurationMs);
+
+        window.addEventListener('online', onEnvironmentChanged);
+        document.addEventListener('visibilitychange', onEnvironmentChanged);
+
+        (async () => {
+            try {
+                for (let attempt = 1; !isOutOfBudget(attempt); attempt++) {
+                    const delayMs = delayFor(attempt);
+                    emit('reconnecting', { attempt, maxAttempts: policy.maxAttempts, delayMs });
+
+                    if (!retryRequested) {
+                        await countdown(attempt, delayMs);
+                    }
+
+                    // Offline or hidden: don't burn attempts, retry as soon as it's possible again
+                    if (!isCanceled && !retryRequested && isPaused()) {
+                        await waitWhilePaused();
+                    }
+
+                    if (isCanceled) {
                         return;
                     }
 
-                    // Successfully reconnected to the server.
-                    return;
-                } catch {
-                    // Didn't reach the server; try again.
+                    retryRequested = false;
+                    showReconnectModal('reconnecting', { attempt });
+
+                    try {
+                        const result = await Blazor.reconnect();
+                        if (!result) {
+                            // The server was reached, but the connection was rejected.
+                            if (!isCanceled) {
+                                giveUp('rejected');
+                            }
+                            return;
+                        }
+
+                        // Successfully reconnected to the server.
+                        return;
+                    } catch {
+                        // Didn't reach the server; try again.
+                    }
                 }
-            }
 
-            // Retried too many times; reload the page.
-            location.reload();
+                // Retried too many times or for too long.
+                if (!isCanceled) {
+                    giveUp('unreachable');
+                }
+            } finally {
+                isFinished = true;
+                window.removeEventListener('online', onEnvironmentChanged);
+                document.removeEventListener('visibilitychange', onEnvironmentChanged);
+            }
         })();
 
         return {
+            isFinished: () => isFinished,
+            retryNow: () => {
+                retryRequested = true;
+                interrupt?.();
+            },
             cancel: () => {
                 isCanceled = true;
-                reconnectModal.style.display = 'none';
+                interrupt?.();
+                hideReconnectModal();
             },
         };
     };
 
     let currentReconnectionProcess = null;
+    let disconnectedAt = null;
+
+    const retryNow = () => {
+        if (!currentReconnectionProcess) {
+            return;
+        }
+
+        // After giving up, "retry" starts over with a fresh budget
+        if (currentReconnectionProcess.isFinished()) {
+            currentReconnectionProcess = startReconnectionProcess();
+        } else {
+            currentReconnectionProcess.retryNow();
+        }
+    };
+
+    document.addEventListener('click', event => {
+        const button = event.target instanceof Element ? event.target.closest('#reconnect-modal [data-reconnect-action]') : null;
+        if (!button) {
+            return;
+        }
+
+        switch (button.getAttribute('data-reconnect-action')) {
+            case 'retry':
+                retryNow();
+                break;
+            case 'reload':
+                reload('user');
+                break;
+        }
+    });
 
     Blazor.start({
         configureSignalR: function (builder) {
             builder.withServerTimeout(60 * 1000).withKeepAliveInterval(30 * 1000);
         },
         reconnectionHandler: {
-            onConnectionDown: () => currentReconnectionProcess ??= startReconnectionProcess(),
+            onConnectionDown: () => {
+                if (currentReconnectionProcess) {
+                    return;
+                }
+
+                isConnected = false;
+                disconnectedAt = Date.now();
+                emit('connectionDown', { timestamp: disconnectedAt });
+                currentReconnectionProcess = startReconnectionProcess();
+            },
             onConnectionUp: () => {
                 currentReconnectionProcess?.cancel();
                 currentReconnectionProcess = null;
 
-                // Call all registered reconnection callbacks
-                if (window.connectionCallbacks && window.connectionCallbacks.length > 0) {
-                    window.connectionCallbacks.forEach(callback => {
-                        if (callback.dotNetRef && typeof callback.dotNetRef.invokeMethodAsync === 'function') {
-                            callback.dotNetRef.invokeMethodAsync(callback.methodName)
-                                .catch(error => console.error("Error invoking reconnection callback:", error));
-                        }
-                    });
-                }
+                isConnected = true;
+                emit('connectionUp', { downtimeMs: disconnectedAt !== null ? Date.now() - disconnectedAt : 0 });
+                disconnectedAt = null;
             }
         }
+    }).then(() => {
+        isConnected = currentReconnectionProcess === null;
     });
 })();
\ No newline at end of file
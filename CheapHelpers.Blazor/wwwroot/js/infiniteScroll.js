@@ -2,46 +2,505 @@
     observer: null,
     mutationObserver: null,
     resizeObserver: null,
+    scrollHandler: null,
+    visibilityHandler: null,
 
-    setupInfiniteScroll: function (dotNetObject) {
-        if (dotNetObject && typeof dotNetObject.invokeMethodAsync === 'function') {
-            const self = this;
+    // Instance API: observes sentinel elements at the ends of a list inside any scroll container.
+    // Each list gets its own instance (an IJSObjectReference on the .NET side), so lists don't share state.
+    // The .NET methods may return a bool to report whether more items are available in their direction.
+    // Every direction runs its own state machine: idle -> loading -> idle | error | exhausted.
+    // Nothing loads again until the .NET promise settles; errors wait for retry(), reset() starts over.
+    create: function (dotNetObject, sentinel, options) {
+        if (!dotNetObject || typeof dotNetObject.invokeMethodAsync !== 'function' || !sentinel) {
+            throw new Error("infiniteScroll.create requires a DotNetObjectReference and a sentinel element");
+        }
+
+        const settings = Object.assign({
+            methodName: "LoadMore",
+            root: undefined,            // scroll container; undefined = nearest scrollable ancestor, null = viewport
+            rootMargin: "200px",
+            hasMore: true,
+            topSentinel: null,          // enables loading older items above the list
+            previousMethodName: "LoadPrevious",
+            hasMorePrevious: true,
+            restoreKey: null,           // restores the scroll position when the list is shown again at the same URL
+            stateMethodName: null       // optional [JSInvokable] (direction, state, error) for loading/error UI
+        }, options);
+        const root = settings.root !== undefined ? settings.root : this.findScrollContainer(sentinel);
+        const scroller = root || document.scrollingElement || document.documentElement;
+
+        const directions = {
+            next: { name: "next", sentinel: sentinel, methodName: settings.methodName, state: settings.hasMore !== false ? "idle" : "exhausted" },
+            previous: { name: "previous", sentinel: settings.topSentinel, methodName: settings.previousMethodName, state: settings.topSentinel && settings.hasMorePrevious !== false ? "idle" : "exhausted" }
+        };
+        let disposed = false;
+        let generation = 0;
+        let pendingRestore = this.takeScrollPosition(settings.restoreKey);
+
+        const observer = new IntersectionObserver(entries => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    load(entry.target === directions.previous.sentinel ? directions.previous : directions.next);
+                }
+            });
+        }, { root: root, rootMargin: settings.rootMargin });
+
+        // Re-observing reports the current intersection, so a sentinel that is still
+        // visible after a load (short pages, tall containers) keeps loading
+        function recheck(direction) {
+            if (direction.sentinel) {
+                observer.unobserve(direction.sentinel);
+                observer.observe(direction.sentinel);
+            }
+        }
+
+        // Prepending items pushes the content down; keep the item that was first in place instead.
+        // Native scroll anchoring is switched off meanwhile so the two don't both correct.
+        function anchorWhilePrepending() {
+            const container = directions.previous.sentinel.parentNode;
+            const element = directions.previous.sentinel.nextElementSibling;
+            const anchor = {
+                element: element,
+                top: element ? element.getBoundingClientRect().top : 0,
+                scrollHeight: scroller.scrollHeight
+            };
+            const overflowAnchor = scroller.style.overflowAnchor;
+
+            function restore() {
+                if (anchor.element && anchor.element.isConnected) {
+                    scroller.scrollTop += anchor.element.getBoundingClientRect().top - anchor.top;
+                } else {
+                    // The renderer replaced the anchor; fall back to the growth in height
+                    scroller.scrollTop += scroller.scrollHeight - anchor.scrollHeight;
+                }
+                anchor.scrollHeight = scroller.scrollHeight;
+            }
+
+            scroller.style.overflowAnchor = "none";
+            const mutationObserver = new MutationObserver(restore);
+            mutationObserver.observe(container, { childList: true, subtree: true });
+
+            return function release() {
+                restore();
+                mutationObserver.disconnect();
+                scroller.style.overflowAnchor = overflowAnchor;
+            };
+        }
+
+        function tryRestoreScrollPosition() {
+            if (pendingRestore === null) {
+                return;
+            }
+
+            // Keep loading until the list is long enough to reach the saved position
+            const reachable = scroller.scrollHeight - scroller.clientHeight;
+            if (reachable >= pendingRestore || directions.next.state !== "idle") {
+                scroller.scrollTop = Math.min(pendingRestore, reachable);
+                pendingRestore = null;
+            }
+        }
+
+        // The state is mirrored on the sentinel (data-infinite-scroll-state) so CSS can show a spinner or message
+        function setState(direction, state, error) {
+            direction.state = state;
+            if (direction.sentinel) {
+                direction.sentinel.setAttribute("data-infinite-scroll-state", state);
+            }
+
+            if (settings.stateMethodName && !disposed) {
+                dotNetObject.invokeMethodAsync(settings.stateMethodName, direction.name, state, error || null)
+                    .catch(err => console.error(`Error invoking ${settings.stateMethodName}:`, err));
+            }
+        }
+
+        function load(direction) {
+            if (disposed || direction.state !== "idle") {
+                return;
+            }
+
+            const loadGeneration = generation;
+            const releaseAnchor = direction === directions.previous ? anchorWhilePrepending() : null;
+            setState(direction, "loading");
 
-            function checkScroll() {
+            dotNetObject.invokeMethodAsync(direction.methodName)
+                .then(result => ({ state: result === false ? "exhausted" : "idle" }))
+                .catch(err => {
+                    console.error(`Error invoking ${direction.methodName}:`, err);
+                    return { state: "error", error: err && err.message ? err.message : String(err) };
+                })
+                .then(outcome => {
+                    if (releaseAnchor) {
+                        releaseAnchor();
+                    }
+
+                    // reset() or dispose() happened meanwhile; this result belongs to the old list
+                    if (disposed || loadGeneration !== generation) {
+                        return;
+                    }
+
+                    // setHasMore(false) during the call wins over an idle outcome
+                    setState(direction, direction.state === "exhausted" && outcome.state === "idle" ? "exhausted" : outcome.state, outcome.error);
+
+                    if (direction === directions.next) {
+                        tryRestoreScrollPosition();
+                    }
+                    if (direction.state === "idle") {
+                        recheck(direction);
+                    }
+                });
+        }
 
-                if (!self.hasMoreItems) {
-                    console.log("No more items to load. Stopping infinite scroll.");
+        observer.observe(sentinel);
+        sentinel.setAttribute("data-infinite-scroll-state", directions.next.state);
+        if (directions.previous.sentinel) {
+            observer.observe(directions.previous.sentinel);
+            directions.previous.sentinel.setAttribute("data-infinite-scroll-state", directions.previous.state);
+        }
+        tryRestoreScrollPosition();
+
+        return {
+            // direction: "next" (default) or "previous"
+            setHasMore: function (value, direction) {
+                const target = direction === "previous" ? directions.previous : directions.next;
+                if (disposed || !target.sentinel) {
+                    return;
+                }
+
+                if (value !== true) {
+                    setState(target, "exhausted");
+                } else if (target.state === "exhausted") {
+                    setState(target, "idle");
+                    recheck(target);
+                }
+            },
+            // Leaves the error state and loads again if the sentinel is still in view
+            retry: function (direction) {
+                [directions.next, directions.previous].forEach(target => {
+                    if (!disposed && target.state === "error" && (!direction || direction === target.name)) {
+                        setState(target, "idle");
+                        recheck(target);
+                    }
+                });
+            },
+            // For filter changes: forget in-flight results, scroll to the top and load from scratch
+            reset: function (options) {
+                if (disposed) {
+                    return;
+                }
+
+                const resetSettings = Object.assign({ hasMore: true, hasMorePrevious: !!directions.previous.sentinel }, options);
+                generation++;
+                pendingRestore = null;
+                scroller.scrollTop = 0;
+
+                setState(directions.next, resetSettings.hasMore !== false ? "idle" : "exhausted");
+                if (directions.previous.sentinel) {
+                    setState(directions.previous, resetSettings.hasMorePrevious !== false ? "idle" : "exhausted");
+                }
+                recheck(directions.next);
+                recheck(directions.previous);
+            },
+            getState: function (direction) {
+                return (direction === "previous" ? directions.previous : directions.next).state;
+            },
+            dispose: function () {
+                if (disposed) {
                     return;
                 }
 
-                const scrollTop = window.scrollY || document.documentElement.scrollTop;
-                const windowHeight = window.innerHeight;
-                const fullHeight = document.documentElement.scrollHeight;
+                disposed = true;
+                observer.disconnect();
+                window.infiniteScroll.saveScrollPosition(settings.restoreKey, scroller.scrollTop);
+            }
+        };
+    },
+
+    // Windowing helper: the component renders only the rows in the reported range, each with
+    // data-index, between two spacer elements. Row heights are measured as they render (estimated
+    // until then) and the spacers stand in for everything outside the window, so the total scroll
+    // height stays consistent. Pairs with create(): put its sentinel after the bottom spacer.
+    virtualize: function (dotNetObject, topSpacer, bottomSpacer, options) {
+        if (!dotNetObject || typeof dotNetObject.invokeMethodAsync !== 'function' || !topSpacer || !bottomSpacer) {
+            throw new Error("infiniteScroll.virtualize requires a DotNetObjectReference and both spacer elements");
+        }
+
+        const settings = Object.assign({
+            methodName: "SetVisibleRange",  // invoked with (startIndex, count)
+            itemCount: 0,
+            estimatedItemHeight: 40,
+            overscan: 5,
+            root: undefined                 // scroll container; undefined = nearest scrollable ancestor, null = viewport
+        }, options);
+        const root = settings.root !== undefined ? settings.root : this.findScrollContainer(topSpacer);
+        const scroller = root || document.scrollingElement || document.documentElement;
+        const scrollTarget = root || window;
+        const container = topSpacer.parentNode;
+
+        const heights = [];
+        const observedRows = new Set();
+        let itemCount = settings.itemCount;
+        let reported = { start: -1, end: -1 };
+        let inFlight = false;
+        let reportPending = false;
+        let frame = 0;
+        let disposed = false;
+
+        const heightOf = index => heights[index] !== undefined ? heights[index] : settings.estimatedItemHeight;
+
+        function offsetOf(index) {
+            let offset = 0;
+            for (let i = 0; i < index; i++) {
+                offset += heightOf(i);
+            }
+            return offset;
+        }
+
+        function indexAt(offset) {
+            let position = 0;
+            for (let i = 0; i < itemCount; i++) {
+                position += heightOf(i);
+                if (position > offset) {
+                    return i;
+                }
+            }
+            return Math.max(0, itemCount - 1);
+        }
+
+        // Scroll offset of the first row within the scroller's content
+        function listTop() {
+            const spacerTop = topSpacer.getBoundingClientRect().top;
+            return root
+                ? spacerTop - root.getBoundingClientRect().top + root.scrollTop
+                : spacerTop + window.scrollY;
+        }
+
+        function renderedRows() {
+            return Array.prototype.filter.call(container.children, child => child.hasAttribute("data-index"));
+        }
+
+        function updateSpacers() {
+            const indexes = renderedRows().map(row => parseInt(row.getAttribute("data-index"), 10)).filter(index => !isNaN(index));
+            const first = indexes.length ? Math.min.apply(null, indexes) : 0;
+            const last = indexes.length ? Math.max.apply(null, indexes) + 1 : 0;
+            const total = offsetOf(itemCount);
+
+            topSpacer.style.height = `${offsetOf(first)}px`;
+            bottomSpacer.style.height = `${Math.max(0, total - offsetOf(Math.max(first, last)))}px`;
+        }
+
+        function visibleRange() {
+            const viewportHeight = root ? root.clientHeight : window.innerHeight;
+            const top = Math.max(0, (root ? root.scrollTop : window.scrollY) - listTop());
+            const start = Math.max(0, indexAt(top) - settings.overscan);
+            const end = Math.min(itemCount, indexAt(top + viewportHeight) + 1 + settings.overscan);
+            return { start: start, end: Math.max(start, end) };
+        }
+
+        // One call in flight at a time; the latest range is sent once it settles
+        function report() {
+            if (disposed) {
+                return;
+            }
+
+            const range = visibleRange();
+            if (range.start === reported.start && range.end === reported.end) {
+                return;
+            }
+            if (inFlight) {
+                reportPending = true;
+                return;
+            }
 
-                console.log("Scroll Position:", scrollTop, "Window Height:", windowHeight, "Full Height:", fullHeight);
+            inFlight = true;
+            reported = range;
+            dotNetObject.invokeMethodAsync(settings.methodName, range.start, range.end - range.start)
+                .catch(err => console.error(`Error invoking ${settings.methodName}:`, err))
+                .then(() => {
+                    inFlight = false;
+                    if (reportPending) {
+                        reportPending = false;
+                        report();
+                    }
+                });
+        }
+
+        function onScroll() {
+            if (!frame) {
+                frame = requestAnimationFrame(() => {
+                    frame = 0;
+                    report();
+                });
+            }
+        }
 
-                // Check if user is at the bottom (adjusted threshold to ensure it triggers)
-                const atBottom = scrollTop + windowHeight >= fullHeight - 50;
+        // Rows above the visible area that change height would push the content;
+        // compensate so what the user is looking at stays put
+        const resizeObserver = new ResizeObserver(entries => {
+            const firstVisible = indexAt(Math.max(0, (root ? root.scrollTop : window.scrollY) - listTop()));
+            let shift = 0;
 
-                if (atBottom) {
-                    console.log("Reached Bottom! Triggering LoadStock...");
-                    dotNetObject.invokeMethodAsync("LoadStock").catch(err => console.error("Error invoking LoadStock:", err));
+            entries.forEach(entry => {
+                const index = parseInt(entry.target.getAttribute("data-index"), 10);
+                if (isNaN(index) || !entry.target.isConnected) {
+                    return;
+                }
+
+                const height = entry.target.getBoundingClientRect().height;
+                if (index < firstVisible) {
+                    shift += height - heightOf(index);
                 }
+                heights[index] = height;
+            });
+
+            updateSpacers();
+            if (shift) {
+                scroller.scrollTop += shift;
             }
+            report();
+        });
+
+        function syncObservedRows() {
+            const rows = renderedRows();
+            observedRows.forEach(row => {
+                if (!row.isConnected || row.parentNode !== container) {
+                    resizeObserver.unobserve(row);
+                    observedRows.delete(row);
+                }
+            });
+            rows.forEach(row => {
+                if (!observedRows.has(row)) {
+                    resizeObserver.observe(row);
+                    observedRows.add(row);
+                }
+            });
+            updateSpacers();
+        }
+
+        const mutationObserver = new MutationObserver(syncObservedRows);
+        mutationObserver.observe(container, { childList: true });
+
+        const overflowAnchor = scroller.style.overflowAnchor;
+        scroller.style.overflowAnchor = "none";
+        scrollTarget.addEventListener("scroll", onScroll, { passive: true });
+        syncObservedRows();
+        report();
+
+        return {
+            // Call when items are appended (e.g. from an infinite scroll load) or the list is replaced
+            setItemCount: function (count) {
+                itemCount = Math.max(0, count | 0);
+                heights.length = Math.min(heights.length, itemCount);
+                reported = { start: -1, end: -1 };
+                updateSpacers();
+                report();
+            },
+            scrollToIndex: function (index) {
+                const target = listTop() + offsetOf(Math.max(0, Math.min(index, itemCount - 1)));
+                if (root) {
+                    root.scrollTop = target;
+                } else {
+                    window.scrollTo(window.scrollX, target);
+                }
+                report();
+            },
+            dispose: function () {
+                if (disposed) {
+                    return;
+                }
 
-            // Check if the page has enough content to scroll
-            if (!this.isPageScrollable()) {
-                console.log("Page not scrollable. Triggering LoadStock...");
-                dotNetObject.invokeMethodAsync("LoadStock").catch(err => console.error("Error invoking LoadStock:", err));
+                disposed = true;
+                cancelAnimationFrame(frame);
+                scrollTarget.removeEventListener("scroll", onScroll);
+                resizeObserver.disconnect();
+                mutationObserver.disconnect();
+                scroller.style.overflowAnchor = overflowAnchor;
             }
+        };
+    },
 
-            // Attach scroll event listener
-            window.addEventListener("scroll", checkScroll);
-            console.log("Infinite Scroll Initialized!");
+    saveScrollPosition: function (key, scrollTop) {
+        if (!key) {
+            return;
         }
-        else {
+
+        try {
+            sessionStorage.setItem(`infiniteScroll.${key}`, JSON.stringify({ href: location.href, scrollTop: scrollTop }));
+        } catch {
+            // sessionStorage unavailable; the list just starts at the top next time
+        }
+    },
+
+    takeScrollPosition: function (key) {
+        if (!key) {
+            return null;
+        }
+
+        try {
+            const stored = JSON.parse(sessionStorage.getItem(`infiniteScroll.${key}`));
+            sessionStorage.removeItem(`infiniteScroll.${key}`);
+            return stored && stored.href === location.href ? stored.scrollTop : null;
+        } catch {
+            return null;
+        }
+    },
+
+    findScrollContainer: function (element) {
+        for (let parent = element.parentElement; parent && parent !== document.body && parent !== document.documentElement; parent = parent.parentElement) {
+            const overflowY = getComputedStyle(parent).overflowY;
+            if (overflowY === "auto" || overflowY === "scroll" || overflowY === "overlay") {
+                return parent;
+            }
+        }
+
+        return null;
+    },
+
+    // Window-scroll API, one list per page. Prefer create() for new code.
+    setupInfiniteScroll: function (dotNetObject, methodName) {
+        methodName = methodName || "LoadStock";
+
+        if (!dotNetObject || typeof dotNetObject.invokeMethodAsync !== 'function') {
             console.error("Invalid dotNetObject provided to setupInfiniteScroll");
+            return;
         }
+
+        const self = this;
+        let loading = false;
+
+        // A second setup replaces the first instead of stacking listeners
+        this.removeScrollHandler("scrollHandler");
+
+        function load() {
+            if (loading) {
+                return;
+            }
+
+            // Wait for the previous call to settle; only a successful load checks again
+            loading = true;
+            dotNetObject.invokeMethodAsync(methodName)
+                .then(() => {
+                    loading = false;
+                    checkScroll();
+                })
+                .catch(err => {
+                    loading = false;
+                    console.error(`Error invoking ${methodName}:`, err);
+                });
+        }
+
+        function checkScroll() {
+            if (self.hasMoreItems && self.isNearBottom(50)) {
+                load();
+            }
+        }
+
+        // Check if the page has enough content to scroll
+        if (!this.isPageScrollable()) {
+            load();
+        }
+
+        this.scrollHandler = checkScroll;
+        window.addEventListener("scroll", checkScroll, { passive: true });
     },
 
     updateHasMoreItems: function (value) {
@@ -52,20 +511,27 @@
         return document.documentElement.scrollHeight > window.innerHeight;
     },
 
-    startObserving: function (dotNetObject) {
-        window.addEventListener("scroll", function () {
-            // Get current scroll position
-            const scrollTop = window.scrollY || document.documentElement.scrollTop;
-            const windowHeight = window.innerHeight;
-            const fullHeight = document.documentElement.scrollHeight;
+    isNearBottom: function (threshold) {
+        const scrollTop = window.scrollY || document.documentElement.scrollTop;
+        return scrollTop + window.innerHeight >= document.documentElement.scrollHeight - threshold;
+    },
 
-            // Check if we scrolled to the bottom
-            const atBottom = scrollTop + windowHeight >= fullHeight - 5;
+    startObserving: function (dotNetObject) {
+        this.removeScrollHandler("visibilityHandler");
 
-            if (atBottom && dotNetObject && dotNetObject.invokeMethodAsync) {
+        this.visibilityHandler = function () {
+            if (window.infiniteScroll.isNearBottom(5) && dotNetObject && dotNetObject.invokeMethodAsync) {
                 dotNetObject.invokeMethodAsync("HandleVisibilityChanged", true);
             }
-        });
+        };
+        window.addEventListener("scroll", this.visibilityHandler, { passive: true });
+    },
+
+    removeScrollHandler: function (name) {
+        if (this[name]) {
+            window.removeEventListener("scroll", this[name]);
+            this[name] = null;
+        }
     },
 
     cleanupMutationObserver: function () {
@@ -76,6 +542,10 @@
     },
 
     stopObserving: function () {
+        // Remove the scroll listeners added by setupInfiniteScroll and startObserving
+        this.removeScrollHandler("scrollHandler");
+        this.removeScrollHandler("visibilityHandler");
+
         // Clean up IntersectionObserver
         if (this.observer) {
             this.observer.disconnect();
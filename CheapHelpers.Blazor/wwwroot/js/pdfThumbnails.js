@@ -1,90 +1,1375 @@
 /**
  * Find all img elements with data-pdf-thumbnail-file attribute,
+ * then wait until the img scrolls into (or near) the viewport,
  * then load pdf file given in the attribute,
- * then use pdf.js to draw the first page on a canvas, 
+ * then use pdf.js to draw the first page (or data-pdf-thumbnail-page) on a canvas,
  * then convert it to base64,
  * then set it as the img src.
+ *
+ * Visible images are queued and rendered at most `concurrency` at a time, closest to the
+ * viewport first (data-pdf-thumbnail-priority overrides the order, higher renders first).
+ * Queued or running jobs are cancelled when their img scrolls out of range or leaves the DOM.
+ *
+ * data-pdf-thumbnail-pages="N" renders a filmstrip of N pages side by side, and
+ * data-pdf-thumbnail-preview="hover" flips through the pages as the pointer moves across the img.
+ *
+ * PDFs behind authentication get headers/withCredentials from the options (or a named source via
+ * data-pdf-thumbnail-source), password-protected ones ask the passwordProvider, and documents that
+ * only exist in memory are rendered from data-pdf-thumbnail-blob (a blob: URL or a registerBlob key).
+ *
+ * Images added later (Blazor renders, navigation, paged grids) are picked up by a MutationObserver,
+ * and a changed data-pdf-thumbnail-file is rendered again. Components can also register and
+ * unregister their own hosts through window.pdfThumbnails.refresh(root) / dispose(root).
+ *
+ * Options can be passed to createPDFThumbnails or set on window.pdfThumbnailsOptions
+ * before this script runs.
  */
-var createPDFThumbnails = function(){
+var createPDFThumbnails = function(options){
+
+    var settings = Object.assign({}, createPDFThumbnails.defaults, window.pdfThumbnailsOptions, options);
 
     var worker = null;
     var loaded = false;
+    var pdfjsReady = null;
     var renderQueue = [];
+    var activeJobs = [];
+    var validationsInFlight = 0;
+    var validationWaiters = [];
+    var cacheLookups = [];
+    var cacheDb = null;
+    var evictionTimer = null;
+    var trackedElements = [];
+    var visibilityObserver = null;
+    var domObserver = null;
+    var selector = 'img[data-pdf-thumbnail-file], img[data-pdf-thumbnail-blob]';
+    var sources = Object.assign({}, settings.sources);
+    var blobs = {};
+    var pendingBlobs = {};
+
+    if ('IntersectionObserver' in window) {
+        visibilityObserver = new IntersectionObserver(onVisibilityChanged, {
+            rootMargin: settings.rootMargin
+        });
+    }
+
+    // Removals are always watched so jobs get cancelled; additions only in observeMutations mode
+    domObserver = new MutationObserver(onDomChanged);
+    domObserver.observe(document.body, {
+        childList: true,
+        subtree: true,
+        attributes: settings.observeMutations,
+        attributeFilter: settings.observeMutations ? ['data-pdf-thumbnail-file', 'data-pdf-thumbnail-blob'] : undefined
+    });
+
+    // PDF.js itself is only loaded once the first image becomes visible
+    scan(document);
+
+    if (settings.observeMutations && window.Blazor && typeof window.Blazor.addEventListener === 'function') {
+        // Enhanced navigation patches the DOM in place; rescan once it is done
+        window.Blazor.addEventListener('enhancedload', onEnhancedLoad);
+    }
+
+    return {
+        settings: settings,
+        refresh: refresh,
+        dispose: dispose,
+        clearCache: clearCache,
+        setSource: setSource,
+        setPasswordProvider: setPasswordProvider,
+        registerBlob: registerBlob,
+        unregisterBlob: unregisterBlob
+    };
+
+    /**
+     * Register every thumbnail img inside root (the element itself included). Already known images are skipped.
+     */
+    function refresh(root) {
+        scan(root || document);
+    }
+
+    /**
+     * Unregister the thumbnail imgs inside root and cancel their jobs.
+     * Without root everything is released and the instance stops observing.
+     */
+    function dispose(root) {
+        if (root) {
+            findThumbnails(root).forEach(untrack);
+            return;
+        }
+
+        trackedElements.slice().forEach(untrack);
+        renderQueue = [];
+
+        if (visibilityObserver) {
+            visibilityObserver.disconnect();
+            visibilityObserver = null;
+        }
+
+        if (domObserver) {
+            domObserver.disconnect();
+            domObserver = null;
+        }
+
+        if (window.Blazor && typeof window.Blazor.removeEventListener === 'function') {
+            window.Blazor.removeEventListener('enhancedload', onEnhancedLoad);
+        }
+
+        if (worker) {
+            worker.destroy();
+            worker = null;
+        }
+
+        clearTimeout(evictionTimer);
+        if (cacheDb) {
+            cacheDb.then(function (db) {
+                if (db) {
+                    db.close();
+                }
+            });
+            cacheDb = null;
+        }
+    }
+
+    /**
+     * Register (or replace, e.g. after a token refresh) the request options for
+     * images with data-pdf-thumbnail-source="name": { httpHeaders, withCredentials }.
+     */
+    function setSource(name, sourceOptions) {
+        if (sourceOptions) {
+            sources[name] = sourceOptions;
+        } else {
+            delete sources[name];
+        }
+    }
+
+    /**
+     * Ask .NET for document passwords: [JSInvokable] Task<string?> Method(string file, int attempt).
+     * Returning null gives up, the image then shows the password state.
+     */
+    function setPasswordProvider(dotNetRef, methodName) {
+        settings.passwordProvider = dotNetRef ? function (file, attempt) {
+            return dotNetRef.invokeMethodAsync(methodName, file, attempt);
+        } : null;
+    }
+
+    /**
+     * Make in-memory PDF bytes available to images with data-pdf-thumbnail-blob="key".
+     * Accepts an ArrayBuffer, typed array, Blob or DotNetStreamReference. The bytes are read right
+     * away (a stream reference can only be read once and .NET may dispose it after this call), so
+     * the returned promise must be awaited before the stream is released.
+     */
+    function registerBlob(key, data) {
+        var registration = {};
+        pendingBlobs[key] = registration;
+
+        return readBlob(data).then(function (bytes) {
+            // Unregistered or registered again while reading
+            if (pendingBlobs[key] !== registration) {
+                return;
+            }
+            delete pendingBlobs[key];
+            blobs[key] = bytes;
+
+            // Images that were waiting for this key can render now
+            trackedElements.slice().forEach(function (element) {
+                if (element.getAttribute('data-pdf-thumbnail-blob') === key && !element._pdfThumbnailFile) {
+                    untrack(element);
+                    track(element);
+                }
+            });
+        });
+    }
+
+    function unregisterBlob(key) {
+        delete pendingBlobs[key];
+        delete blobs[key];
+    }
+
+    function onEnhancedLoad() {
+        scan(document);
+    }
+
+    function findThumbnails(root) {
+        var found = [];
+
+        if (root.nodeType !== 1 && root.nodeType !== 9) {
+            return found;
+        }
+
+        if (root.matches && root.matches(selector)) {
+            found.push(root);
+        }
+
+        return found.concat(Array.prototype.slice.call(root.querySelectorAll(selector)));
+    }
 
-    // select all img elements with data-pdf-thumbnail-file attribute
-    var nodesArray = Array.prototype.slice.call(document.querySelectorAll('img[data-pdf-thumbnail-file]'));
+    /**
+     * Identifies the document an img shows; a change means the thumbnail must be rendered again.
+     */
+    function sourceId(element) {
+        return element.getAttribute('data-pdf-thumbnail-blob') || element.getAttribute('data-pdf-thumbnail-file');
+    }
 
-    if (!nodesArray.length) {
-        // No PDF found, don't load PDF.js
-        return;
+    function scan(root) {
+        findThumbnails(root).forEach(track);
     }
 
-    if (!loaded && typeof(pdfjsLib) === 'undefined') {
-        var src = document.querySelector('script[data-pdfjs-src]').getAttribute('data-pdfjs-src');
+    function track(element) {
+        if (trackedElements.indexOf(element) !== -1) {
+            return;
+        }
+
+        trackedElements.push(element);
+        attachPreview(element);
 
-        if (!src) {
-            throw Error('PDF.js URL not set in "data-pdfjs-src" attribute: cannot load PDF.js');
+        if (element._pdfThumbnailFile === sourceId(element)) {
+            // Rendered before it was disposed, the thumbnail is still there
+            return;
         }
 
-        var script = document.createElement('script');
-        script.src = src;
-        document.head.appendChild(script).onload = renderThumbnails;
-        loaded = true;
+        showLoading(element);
+
+        if (visibilityObserver) {
+            visibilityObserver.observe(element);
+        } else {
+            // No IntersectionObserver (old WebViews): render everything, still throttled by the queue
+            enqueue(element);
+        }
     }
-    else {
-        renderThumbnails();
+
+    function untrack(element) {
+        var index = trackedElements.indexOf(element);
+        if (index !== -1) {
+            trackedElements.splice(index, 1);
+        }
+
+        if (visibilityObserver) {
+            visibilityObserver.unobserve(element);
+        }
+
+        cancel(element);
+        detachPreview(element);
     }
 
-    function renderThumbnails() {
-        if (!pdfjsLib) {
-            throw Error("pdf.js failed to load. Check data-pdfjs-src attribute.");
+    function onVisibilityChanged(entries) {
+        entries.forEach(function (entry) {
+            if (entry.isIntersecting) {
+                enqueue(entry.target);
+            } else {
+                // Scrolled past: drop the queued job or abort the running render, it is queued again when it comes back
+                cancel(entry.target);
+            }
+        });
+    }
+
+    function onDomChanged(mutations) {
+        var removed = false;
+
+        mutations.forEach(function (mutation) {
+            if (mutation.type === 'attributes') {
+                // Blazor reuses img elements when a list changes: render the new document
+                var element = mutation.target;
+                if (sourceId(element) !== element._pdfThumbnailFile) {
+                    untrack(element);
+                    element._pdfThumbnailFile = null;
+                    if (element.matches(selector)) {
+                        track(element);
+                    }
+                }
+                return;
+            }
+
+            if (mutation.removedNodes.length) {
+                removed = true;
+            }
+
+            if (settings.observeMutations) {
+                Array.prototype.forEach.call(mutation.addedNodes, function (node) {
+                    scan(node);
+                });
+            }
+        });
+
+        if (!removed || !trackedElements.length) {
+            return;
         }
 
-        nodesArray.forEach(function(element) {
-            if (null === worker) {
-                worker = new pdfjsLib.PDFWorker();
+        // Blazor may move nodes (remove + insert in the same batch), so only drop what is really gone
+        trackedElements.slice().forEach(function (element) {
+            if (!element.isConnected) {
+                untrack(element);
             }
+        });
+    }
+
+    function findJob(list, element) {
+        for (var i = 0; i < list.length; i++) {
+            if (list[i].element === element) {
+                return list[i];
+            }
+        }
+        return null;
+    }
+
+    function enqueue(element) {
+        var id = sourceId(element);
+        var base = cacheBase(element);
+
+        // Scrolled back before its cache lookup finished. A lookup for another file or size
+        // (the attributes changed meanwhile) stays cancelled and a new job is queued instead.
+        for (var i = 0; i < cacheLookups.length; i++) {
+            var lookup = cacheLookups[i];
+            if (lookup.element === element && lookup.sourceId === id && lookup.cacheBase === base) {
+                lookup.cancelled = false;
+                return;
+            }
+        }
+
+        var active = findJob(activeJobs, element);
+        if (findJob(renderQueue, element) || (active && !active.cancelled)) {
+            return;
+        }
+
+        var job = {
+            element: element,
+            sourceId: id,
+            cacheBase: base,
+            cancelled: false,
+            cacheable: false,
+            validator: null,
+            loadingTask: null,
+            renderTask: null
+        };
 
-            var filePath = element.getAttribute('data-pdf-thumbnail-file');
-            var imgWidth = element.getAttribute('data-pdf-thumbnail-width');
-            var imgHeight = element.getAttribute('data-pdf-thumbnail-height');
+        if (!settings.cache) {
+            renderQueue.push(job);
+            pump();
+            return;
+        }
+
+        // Cache hits skip the render queue so revisited lists paint right away
+        cacheLookups.push(job);
+
+        readCache(job).then(function (entry) {
+            cacheLookups.splice(cacheLookups.indexOf(job), 1);
+
+            if (job.cancelled) {
+                return;
+            }
+
+            if (entry) {
+                showThumbnail(job, entry.dataUrl, true);
+                return;
+            }
+
+            renderQueue.push(job);
+            pump();
+        });
+    }
 
-            pdfjsLib.getDocument({url: filePath, worker: worker}).promise.then(function (pdf) {
-                pdf.getPage(1).then(function (page) {
-                    var canvas = document.createElement("canvas");
-                    var viewport = page.getViewport({scale: 1.0});
-                    var context = canvas.getContext('2d');
+    function dequeue(element) {
+        var job = findJob(renderQueue, element);
+        if (job) {
+            renderQueue.splice(renderQueue.indexOf(job), 1);
+        }
 
-                    if (imgWidth) {
-                        viewport = page.getViewport({scale: imgWidth / viewport.width});
-                    } else if (imgHeight) {
-                        viewport = page.getViewport({scale: imgHeight / viewport.height});
+        cacheLookups.forEach(function (lookup) {
+            if (lookup.element === element) {
+                lookup.cancelled = true;
+            }
+        });
+    }
+
+    function showThumbnail(job, dataUrl, fromCache) {
+        var element = job.element;
+        var filePath = sourceId(element);
+
+        element.src = dataUrl;
+        element._pdfThumbnailFile = filePath;
+        setState(element, 'rendered');
+
+        // Done: no need to watch this one any longer
+        if (visibilityObserver) {
+            visibilityObserver.unobserve(element);
+        }
+
+        element.dispatchEvent(new CustomEvent('pdfthumbnail:rendered', {
+            bubbles: true,
+            detail: {
+                file: filePath,
+                fromCache: fromCache
+            }
+        }));
+    }
+
+    function cancel(element) {
+        dequeue(element);
+
+        activeJobs.forEach(function (job) {
+            if (job.element !== element || job.cancelled) {
+                return;
+            }
+
+            job.cancelled = true;
+
+            if (job.renderTask) {
+                job.renderTask.cancel();
+            }
+            if (job.loadingTask) {
+                job.loadingTask.destroy();
+            }
+        });
+    }
+
+    function priorityOf(job) {
+        var explicit = parseFloat(job.element.getAttribute('data-pdf-thumbnail-priority'));
+        var rect = job.element.getBoundingClientRect();
+
+        // Distance from the viewport, 0 when (partially) visible
+        var distance = rect.bottom < 0 ? -rect.bottom : Math.max(0, rect.top - window.innerHeight);
+
+        return {
+            explicit: isNaN(explicit) ? 0 : explicit,
+            distance: distance
+        };
+    }
+
+    function takeNext() {
+        var bestIndex = -1;
+        var best = null;
+
+        for (var i = 0; i < renderQueue.length; i++) {
+            var priority = priorityOf(renderQueue[i]);
+            if (best === null ||
+                priority.explicit > best.explicit ||
+                (priority.explicit === best.explicit && priority.distance < best.distance)) {
+                best = priority;
+                bestIndex = i;
+            }
+        }
+
+        return renderQueue.splice(bestIndex, 1)[0];
+    }
+
+    function pump() {
+        releaseValidationSlots();
+
+        while (activeJobs.length + validationsInFlight < settings.concurrency && renderQueue.length) {
+            start(takeNext());
+        }
+    }
+
+    /**
+     * Cache validation HEAD requests share the concurrency limit with renders. Waiting validations
+     * go first: a cache hit paints sooner than any render.
+     */
+    function acquireValidationSlot() {
+        return new Promise(function (resolve) {
+            validationWaiters.push(resolve);
+            releaseValidationSlots();
+        });
+    }
+
+    function releaseValidationSlots() {
+        while (validationWaiters.length && activeJobs.length + validationsInFlight < settings.concurrency) {
+            validationsInFlight++;
+            validationWaiters.shift()();
+        }
+    }
+
+    function releaseValidationSlot() {
+        validationsInFlight--;
+        pump();
+    }
+
+    function start(job) {
+        activeJobs.push(job);
+
+        loadPdfJs().then(function () {
+            return renderThumbnail(job);
+        }).catch(function (error) {
+            if (!job.cancelled) {
+                showError(job, error);
+            }
+        }).then(function () {
+            activeJobs.splice(activeJobs.indexOf(job), 1);
+            pump();
+        });
+    }
+
+    function loadPdfJs() {
+        if (pdfjsReady) {
+            return pdfjsReady;
+        }
+
+        pdfjsReady = new Promise(function (resolve, reject) {
+            if (!loaded && typeof(pdfjsLib) === 'undefined') {
+                var scriptTag = document.querySelector('script[data-pdfjs-src]');
+                var src = scriptTag ? scriptTag.getAttribute('data-pdfjs-src') : null;
+
+                if (!src) {
+                    reject(pdfJsLoadError('PDF.js URL not set in "data-pdfjs-src" attribute: cannot load PDF.js'));
+                    return;
+                }
+
+                var script = document.createElement('script');
+                script.src = src;
+                script.onload = function () {
+                    if (typeof(pdfjsLib) === 'undefined') {
+                        reject(pdfJsLoadError("pdf.js failed to load. Check data-pdfjs-src attribute."));
+                        return;
                     }
+                    resolve();
+                };
+                script.onerror = function () {
+                    reject(pdfJsLoadError("pdf.js failed to load. Check data-pdfjs-src attribute."));
+                };
+                document.head.appendChild(script);
+                loaded = true;
+            }
+            else {
+                resolve();
+            }
+        });
 
-                    canvas.height = viewport.height;
-                    canvas.width = viewport.width;
+        return pdfjsReady;
+    }
 
-                    page.render({
-                        canvasContext: context,
-                        viewport: viewport
-                    }).promise.then(function () {
-                        element.src = canvas.toDataURL();
-                    });
-                }).catch(function() {
-                    console.log("pdfThumbnails error: could not open page 1 of document " + filePath + ". Not a pdf ?");
+    function getWorker() {
+        if (null === worker) {
+            worker = new pdfjsLib.PDFWorker();
+        }
+        return worker;
+    }
+
+    function readInt(element, attribute, fallback) {
+        var value = parseInt(element.getAttribute(attribute), 10);
+        return isNaN(value) || value < 1 ? fallback : value;
+    }
+
+    /**
+     * Draw one page on a new canvas, scaled to the requested width (or height).
+     * `owner` receives the running render task so it can be cancelled.
+     */
+    function renderPage(pdf, pageNumber, imgWidth, imgHeight, owner) {
+        return pdf.getPage(pageNumber).then(function (page) {
+            if (owner.cancelled) {
+                return null;
+            }
+
+            var canvas = document.createElement("canvas");
+            var viewport = page.getViewport({scale: 1.0});
+            var context = canvas.getContext('2d');
+
+            if (imgWidth) {
+                viewport = page.getViewport({scale: imgWidth / viewport.width});
+            } else if (imgHeight) {
+                viewport = page.getViewport({scale: imgHeight / viewport.height});
+            }
+
+            canvas.height = viewport.height;
+            canvas.width = viewport.width;
+
+            owner.renderTask = page.render({
+                canvasContext: context,
+                viewport: viewport
+            });
+
+            return owner.renderTask.promise.then(function () {
+                owner.renderTask = null;
+                return canvas;
+            });
+        });
+    }
+
+    /**
+     * Draw pages first..last next to each other on one canvas (a filmstrip).
+     */
+    function renderStrip(pdf, first, last, imgWidth, imgHeight, owner) {
+        var canvases = [];
+
+        var chain = Promise.resolve();
+        for (var pageNumber = first; pageNumber <= last; pageNumber++) {
+            chain = chain.then(renderPage.bind(null, pdf, pageNumber, imgWidth, imgHeight, owner)).then(function (canvas) {
+                if (canvas) {
+                    canvases.push(canvas);
+                }
+            });
+        }
+
+        return chain.then(function () {
+            if (owner.cancelled || !canvases.length) {
+                return null;
+            }
+
+            if (canvases.length === 1) {
+                return canvases[0];
+            }
+
+            var strip = document.createElement("canvas");
+            strip.width = canvases.reduce(function (total, canvas) { return total + canvas.width; }, 0) +
+                settings.filmstripGap * (canvases.length - 1);
+            strip.height = Math.max.apply(null, canvases.map(function (canvas) { return canvas.height; }));
+
+            var context = strip.getContext('2d');
+            var x = 0;
+            canvases.forEach(function (canvas) {
+                context.drawImage(canvas, x, 0);
+                x += canvas.width + settings.filmstripGap;
+            });
+
+            return strip;
+        });
+    }
+
+    /**
+     * Resolve what pdf.js needs to fetch the document of an img: a URL with request options,
+     * or the bytes of a registered blob. Header values may be a function (returning a promise)
+     * so tokens are read fresh for every request.
+     */
+    function documentParams(element) {
+        var blobKey = element.getAttribute('data-pdf-thumbnail-blob');
+
+        if (blobKey) {
+            if (Object.prototype.hasOwnProperty.call(blobs, blobKey)) {
+                // pdf.js transfers the buffer to its worker, so always hand it a copy
+                return Promise.resolve({ data: blobs[blobKey].slice(0), cacheable: false });
+            }
+
+            if (blobKey.indexOf('blob:') === 0) {
+                return Promise.resolve({ url: blobKey, cacheable: false });
+            }
+
+            var missing = new Error('No PDF registered for data-pdf-thumbnail-blob "' + blobKey + '"');
+            missing.name = 'MissingPDFException';
+            return Promise.reject(missing);
+        }
+
+        var source = sources[element.getAttribute('data-pdf-thumbnail-source')] || {};
+        var credentials = element.getAttribute('data-pdf-thumbnail-with-credentials');
+
+        return Promise.all([
+            resolveHeaders(settings.httpHeaders),
+            resolveHeaders(source.httpHeaders)
+        ]).then(function (headers) {
+            return {
+                url: element.getAttribute('data-pdf-thumbnail-file'),
+                httpHeaders: Object.assign({}, headers[0], headers[1]),
+                withCredentials: credentials !== null
+                    ? credentials === 'true'
+                    : (source.withCredentials !== undefined ? source.withCredentials : settings.withCredentials),
+                cacheable: true
+            };
+        });
+    }
+
+    function resolveHeaders(headers) {
+        return Promise.resolve(typeof headers === 'function' ? headers() : headers).then(function (resolved) {
+            return resolved || {};
+        });
+    }
+
+    function readBlob(data) {
+        var read = data && typeof data.arrayBuffer === 'function'
+            ? data.arrayBuffer()                                // Blob, File or DotNetStreamReference
+            : Promise.resolve(data && data.buffer ? data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength) : data);
+
+        return read.then(function (buffer) {
+            return new Uint8Array(buffer.slice(0));
+        });
+    }
+
+    /**
+     * Open the document of an img with pdf.js. `owner` (a render job or hover preview) receives the
+     * loading task so it can be cancelled; resolves null when the owner was cancelled meanwhile.
+     */
+    function openDocument(element, owner) {
+        return documentParams(element).then(function (params) {
+            if (owner.cancelled) {
+                return null;
+            }
+
+            var file = sourceId(element);
+            var attempt = 0;
+            var passwordRefused = false;
+
+            owner.loadingTask = pdfjsLib.getDocument({
+                url: params.url,
+                data: params.data,
+                httpHeaders: params.httpHeaders,
+                withCredentials: params.withCredentials,
+                worker: getWorker()
+            });
+
+            if (settings.passwordProvider) {
+                owner.loadingTask.onPassword = function (updatePassword) {
+                    attempt++;
+
+                    var refuse = function () {
+                        passwordRefused = true;
+                        updatePassword(new Error('No (valid) password for ' + file));
+                    };
+
+                    if (attempt > settings.passwordAttempts) {
+                        refuse();
+                        return;
+                    }
+
+                    Promise.resolve(settings.passwordProvider(file, attempt, element)).then(function (password) {
+                        if (password === null || password === undefined || owner.cancelled) {
+                            refuse();
+                        } else {
+                            updatePassword(password);
+                        }
+                    }, refuse);
+                };
+            }
+
+            return owner.loadingTask.promise.catch(function (error) {
+                if (passwordRefused) {
+                    error = new Error(error && error.message ? error.message : 'Password required for ' + file);
+                    error.name = 'PasswordException';
+                }
+                throw error;
+            });
+        });
+    }
+
+    function pdfJsLoadError(message) {
+        var error = new Error(message);
+        error.name = 'PdfJsLoadError';
+        return error;
+    }
+
+    function renderThumbnail(job) {
+        if (job.cancelled) {
+            return Promise.resolve();
+        }
+
+        var element = job.element;
+        var imgWidth = element.getAttribute('data-pdf-thumbnail-width');
+        var imgHeight = element.getAttribute('data-pdf-thumbnail-height');
+        var firstPage = readInt(element, 'data-pdf-thumbnail-page', 1);
+        var pageCount = readInt(element, 'data-pdf-thumbnail-pages', 1);
+
+        return openDocument(element, job).then(function (pdf) {
+            if (!pdf) {
+                return;
+            }
+
+            // Out-of-range pages fall back to the last page instead of failing
+            var first = Math.min(firstPage, pdf.numPages);
+            var last = Math.min(first + pageCount - 1, pdf.numPages);
+
+            // Release the document either way; the shared worker stays alive for the next job
+            return renderStrip(pdf, first, last, imgWidth, imgHeight, job).then(function (canvas) {
+                pdf.destroy();
+
+                if (job.cancelled || !canvas) {
+                    return;
+                }
+
+                var dataUrl = canvas.toDataURL();
+                showThumbnail(job, dataUrl, false);
+                writeCache(job, dataUrl);
+            }, function (error) {
+                pdf.destroy();
+                error.pdfThumbnailStage = 'render';
+                throw error;
+            });
+        });
+    }
+
+    /**
+     * Map a pdf.js (or fetch) failure onto one of the reasons reported to the page:
+     * 'not-a-pdf', 'password' or 'network-error'.
+     */
+    function classifyError(error) {
+        var name = error && error.name;
+
+        if (name === 'PasswordException') {
+            return 'password';
+        }
+
+        if (name === 'MissingPDFException' || name === 'UnexpectedResponseException' || name === 'PdfJsLoadError') {
+            return 'network-error';
+        }
+
+        if (name === 'InvalidPDFException' || name === 'FormatError' || (error && error.pdfThumbnailStage === 'render')) {
+            return 'not-a-pdf';
+        }
+
+        // Anything else failed while fetching: a dropped connection, CORS, a timeout
+        return navigator.onLine === false || name === 'TypeError' ? 'network-error' : 'not-a-pdf';
+    }
+
+    function setState(element, state, reason) {
+        ['loading', 'rendered', 'error'].forEach(function (knownState) {
+            element.classList.toggle(settings.stateClassPrefix + knownState, knownState === state);
+        });
+
+        if (reason) {
+            element.setAttribute('data-pdf-thumbnail-error', reason);
+        } else {
+            element.removeAttribute('data-pdf-thumbnail-error');
+        }
+    }
+
+    function placeholderFor(element, key, attribute) {
+        return element.getAttribute('data-pdf-thumbnail-' + attribute + '-src') || settings.placeholders[key] || null;
+    }
+
+    function showLoading(element) {
+        setState(element, 'loading');
+
+        var placeholder = placeholderFor(element, 'loading', 'loading');
+        if (placeholder) {
+            element.src = placeholder;
+        }
+    }
+
+    function showError(job, error) {
+        var element = job.element;
+        var filePath = sourceId(element);
+        var reason = classifyError(error);
+        var placeholderKeys = {
+            'not-a-pdf': ['notPdf', 'not-pdf'],
+            'password': ['password', 'password'],
+            'network-error': ['networkError', 'network-error']
+        }[reason];
+
+        console.log("pdfThumbnails error: could not render document " + filePath + " (" + reason + "): " +
+            (error && error.message ? error.message : error));
+
+        var placeholder = placeholderFor(element, placeholderKeys[0], placeholderKeys[1]);
+        if (placeholder) {
+            element.src = placeholder;
+        }
+
+        setState(element, 'error', reason);
+
+        // Failed documents are not retried on every scroll; a changed file attribute, or dispose then refresh, retries
+        if (visibilityObserver) {
+            visibilityObserver.unobserve(element);
+        }
+
+        element.dispatchEvent(new CustomEvent('pdfthumbnail:error', {
+            bubbles: true,
+            detail: {
+                file: filePath,
+                reason: reason,
+                message: error && error.message ? error.message : String(error),
+                status: error && error.status ? error.status : null
+            }
+        }));
+    }
+
+    /**
+     * Hover/scrub preview: moving the pointer across the image flips through the pages,
+     * left edge = first page, right edge = last page (capped at previewMaxPages).
+     * The document is opened on first hover and released a moment after the pointer leaves.
+     */
+    function attachPreview(element) {
+        if (element._pdfThumbnailPreview || element.getAttribute('data-pdf-thumbnail-preview') !== 'hover') {
+            return;
+        }
+
+        var preview = {
+            filePath: null,
+            opening: null,
+            loadingTask: null,
+            pdf: null,
+            pages: {},
+            pageCount: 0,
+            requestedPage: 0,
+            busy: false,
+            cancelled: false,
+            renderTask: null,
+            restoreSrc: null,
+            releaseTimer: null
+        };
+
+        preview.onEnter = function () {
+            clearTimeout(preview.releaseTimer);
+            preview.restoreSrc = element.src;
+            preview.cancelled = false;
+        };
+
+        preview.onMove = function (event) {
+            var rect = element.getBoundingClientRect();
+            if (!rect.width) {
+                return;
+            }
+
+            openPreview(element, preview).then(function () {
+                if (!preview.pdf || preview.cancelled) {
+                    return;
+                }
+
+                var fraction = Math.min(Math.max((event.clientX - rect.left) / rect.width, 0), 0.9999);
+                showPreviewPage(element, preview, 1 + Math.floor(fraction * preview.pageCount));
+            });
+        };
+
+        preview.onLeave = function () {
+            preview.cancelled = true;
+            preview.requestedPage = 0;
+
+            if (preview.restoreSrc !== null) {
+                element.src = preview.restoreSrc;
+                preview.restoreSrc = null;
+            }
+
+            preview.releaseTimer = setTimeout(function () {
+                releasePreview(preview);
+            }, settings.previewReleaseMs);
+        };
+
+        element.addEventListener('pointerenter', preview.onEnter);
+        element.addEventListener('pointermove', preview.onMove);
+        element.addEventListener('pointerleave', preview.onLeave);
+        element._pdfThumbnailPreview = preview;
+    }
+
+    function detachPreview(element) {
+        var preview = element._pdfThumbnailPreview;
+        if (!preview) {
+            return;
+        }
+
+        element.removeEventListener('pointerenter', preview.onEnter);
+        element.removeEventListener('pointermove', preview.onMove);
+        element.removeEventListener('pointerleave', preview.onLeave);
+        clearTimeout(preview.releaseTimer);
+        preview.cancelled = true;
+        releasePreview(preview);
+        element._pdfThumbnailPreview = null;
+    }
+
+    function openPreview(element, preview) {
+        var filePath = sourceId(element);
+
+        if (preview.filePath !== filePath) {
+            // First hover, or the img now points at another document
+            releasePreview(preview);
+            preview.filePath = filePath;
+        }
+
+        if (!preview.opening) {
+            preview.opening = loadPdfJs().then(function () {
+                return openDocument(element, preview);
+            }).then(function (pdf) {
+                if (pdf) {
+                    preview.pdf = pdf;
+                    preview.pageCount = Math.min(pdf.numPages, settings.previewMaxPages);
+                } else {
+                    // Pointer left before the document was ready, try again next hover
+                    preview.opening = null;
+                }
+            }).catch(function () {
+                console.log("pdfThumbnails error: could not open document " + filePath + " for preview.");
+            });
+        }
+
+        return preview.opening;
+    }
+
+    function showPreviewPage(element, preview, pageNumber) {
+        preview.requestedPage = pageNumber;
+
+        if (preview.pages[pageNumber]) {
+            element.src = preview.pages[pageNumber];
+            return;
+        }
+
+        if (preview.busy) {
+            // Rendered as soon as the current page is done; intermediate pages are skipped
+            return;
+        }
+
+        preview.busy = true;
+
+        renderPage(preview.pdf, pageNumber,
+            element.getAttribute('data-pdf-thumbnail-width'),
+            element.getAttribute('data-pdf-thumbnail-height'),
+            preview
+        ).then(function (canvas) {
+            if (canvas) {
+                preview.pages[pageNumber] = canvas.toDataURL();
+            }
+        }).catch(function () {
+            // A broken page just keeps the previous preview
+        }).then(function () {
+            preview.busy = false;
+
+            if (preview.cancelled || !preview.requestedPage) {
+                return;
+            }
+
+            if (preview.pages[preview.requestedPage]) {
+                element.src = preview.pages[preview.requestedPage];
+            } else if (preview.pdf) {
+                showPreviewPage(element, preview, preview.requestedPage);
+            }
+        });
+    }
+
+    function releasePreview(preview) {
+        if (preview.renderTask) {
+            preview.renderTask.cancel();
+            preview.renderTask = null;
+        }
+
+        if (preview.loadingTask) {
+            preview.loadingTask.destroy();
+            preview.loadingTask = null;
+        }
+
+        preview.opening = null;
+        preview.pdf = null;
+        preview.pages = {};
+        preview.pageCount = 0;
+        preview.busy = false;
+    }
+
+    /**
+     * Persistent cache (IndexedDB). Entries are keyed by URL + requested size/pages + the document's
+     * ETag or Last-Modified, read with a HEAD request. When that request fails (offline, e.g. in a
+     * MAUI hybrid shell without network) the most recent entry for the URL is used instead.
+     * Expired entries and the least recently used ones beyond cacheMaxBytes are evicted.
+     */
+    function openCache() {
+        if (!cacheDb) {
+            cacheDb = new Promise(function (resolve) {
+                if (!window.indexedDB) {
+                    resolve(null);
+                    return;
+                }
+
+                var request = indexedDB.open(settings.cacheName, 1);
+                request.onupgradeneeded = function () {
+                    var store = request.result.createObjectStore('thumbnails', { keyPath: 'key' });
+                    store.createIndex('base', 'base');
+                };
+                request.onsuccess = function () {
+                    resolve(request.result);
+                };
+                request.onerror = function () {
+                    // Private browsing or storage disabled: carry on without cache
+                    console.log("pdfThumbnails: thumbnail cache unavailable, rendering without cache.");
+                    resolve(null);
+                };
+            });
+        }
+
+        return cacheDb;
+    }
+
+    function withStore(db, mode, action) {
+        return new Promise(function (resolve, reject) {
+            var transaction = db.transaction('thumbnails', mode);
+            var request = action(transaction.objectStore('thumbnails'));
+
+            transaction.oncomplete = function () {
+                resolve(request ? request.result : undefined);
+            };
+            transaction.onerror = transaction.onabort = function () {
+                reject(transaction.error);
+            };
+        });
+    }
+
+    function cacheBase(element) {
+        return [
+            sourceId(element),
+            element.getAttribute('data-pdf-thumbnail-width') || '',
+            element.getAttribute('data-pdf-thumbnail-height') || '',
+            readInt(element, 'data-pdf-thumbnail-page', 1),
+            readInt(element, 'data-pdf-thumbnail-pages', 1)
+        ].join('|');
+    }
+
+    /**
+     * Resolves the ETag/Last-Modified of the document, '' when the server sends neither,
+     * null when the server can't be reached, or false when it answers with an error status
+     * (401, 405, ...), which means the cache can't be validated and is skipped.
+     */
+    function fetchValidator(job, params) {
+        if (navigator.onLine === false) {
+            return Promise.resolve(null);
+        }
+
+        return acquireValidationSlot().then(function () {
+            if (job.cancelled) {
+                return false;
+            }
+
+            return fetch(params.url, {
+                method: 'HEAD',
+                cache: 'no-cache',
+                headers: params.httpHeaders,
+                credentials: params.withCredentials ? 'include' : 'same-origin'
+            }).then(function (response) {
+                if (!response.ok) {
+                    return false;
+                }
+                return response.headers.get('ETag') || response.headers.get('Last-Modified') || '';
+            }, function () {
+                return null;
+            });
+        }).then(function (validator) {
+            releaseValidationSlot();
+            return validator;
+        });
+    }
+
+    function readCache(job) {
+        return openCache().then(function (db) {
+            if (!db) {
+                return null;
+            }
+
+            var base = job.cacheBase;
+
+            return documentParams(job.element).catch(function () {
+                // Reported by the render itself
+                return { cacheable: false };
+            }).then(function (params) {
+                // In-memory documents are rendered straight away, never cached
+                job.cacheable = params.cacheable;
+                return params.cacheable ? fetchValidator(job, params) : null;
+            }).then(function (validator) {
+                if (validator === false) {
+                    // No usable validator: neither trust nor fill the cache for this render
+                    job.cacheable = false;
+                }
+                if (!job.cacheable) {
+                    return [];
+                }
+
+                job.validator = validator;
+                return withStore(db, 'readonly', function (store) {
+                    return store.index('base').getAll(base);
+                });
+            }).then(function (entries) {
+                var now = Date.now();
+                var hit = null;
+
+                entries.forEach(function (entry) {
+                    if (now - entry.storedAt > settings.cacheMaxAgeMs) {
+                        return;
+                    }
+
+                    if (job.validator === null) {
+                        // Offline: the last known version beats an empty image
+                        if (!hit || entry.storedAt > hit.storedAt) {
+                            hit = entry;
+                        }
+                    } else if (entry.validator === job.validator) {
+                        hit = entry;
+                    }
                 });
-            }).catch(function() {
-                console.log("pdfThumbnails error: could not find or open document " + filePath + ". Not a pdf ?");
+
+                if (hit) {
+                    hit.usedAt = now;
+                    withStore(db, 'readwrite', function (store) {
+                        return store.put(hit);
+                    }).catch(function () { });
+                }
+
+                return hit;
             });
+        }).catch(function (error) {
+            console.log("pdfThumbnails: thumbnail cache read failed: " + (error && error.message ? error.message : error));
+            return null;
         });
     }
+
+    function writeCache(job, dataUrl) {
+        if (!settings.cache || !job.cacheable) {
+            return;
+        }
+
+        openCache().then(function (db) {
+            if (!db) {
+                return;
+            }
+
+            var base = job.cacheBase;
+            var validator = job.validator || '';
+            var now = Date.now();
+
+            return withStore(db, 'readwrite', function (store) {
+                // Drop older versions of the same document/size, then store the new one
+                store.index('base').openCursor(IDBKeyRange.only(base)).onsuccess = function (event) {
+                    var cursor = event.target.result;
+                    if (cursor) {
+                        cursor.delete();
+                        cursor.continue();
+                        return;
+                    }
+
+                    store.put({
+                        key: base + '|' + validator,
+                        base: base,
+                        validator: validator,
+                        dataUrl: dataUrl,
+                        size: dataUrl.length * 2,
+                        storedAt: now,
+                        usedAt: now
+                    });
+                };
+            }).then(scheduleEviction);
+        }).catch(function (error) {
+            console.log("pdfThumbnails: thumbnail cache write failed: " + (error && error.message ? error.message : error));
+        });
+    }
+
+    function scheduleEviction() {
+        // Batch evictions while a page full of thumbnails is being written
+        clearTimeout(evictionTimer);
+        evictionTimer = setTimeout(evict, 1000);
+    }
+
+    function evict() {
+        openCache().then(function (db) {
+            if (!db) {
+                return;
+            }
+
+            return withStore(db, 'readwrite', function (store) {
+                var now = Date.now();
+                var kept = [];
+                var totalSize = 0;
+
+                store.openCursor().onsuccess = function (event) {
+                    var cursor = event.target.result;
+
+                    if (cursor) {
+                        var entry = cursor.value;
+                        if (now - entry.storedAt > settings.cacheMaxAgeMs) {
+                            cursor.delete();
+                        } else {
+                            kept.push({ key: entry.key, size: entry.size, usedAt: entry.usedAt });
+                            totalSize += entry.size;
+                        }
+                        cursor.continue();
+                        return;
+                    }
+
+                    // Least recently used first
+                    kept.sort(function (a, b) { return a.usedAt - b.usedAt; });
+                    for (var i = 0; i < kept.length && totalSize > settings.cacheMaxBytes; i++) {
+                        store.delete(kept[i].key);
+                        totalSize -= kept[i].size;
+                    }
+                };
+            });
+        }).catch(function (error) {
+            console.log("pdfThumbnails: thumbnail cache eviction failed: " + (error && error.message ? error.message : error));
+        });
+    }
+
+    /**
+     * Remove every cached thumbnail.
+     */
+    function clearCache() {
+        return openCache().then(function (db) {
+            if (db) {
+                return withStore(db, 'readwrite', function (store) {
+                    return store.clear();
+                });
+            }
+        });
+    }
+};
+
+createPDFThumbnails.defaults = {
+    concurrency: 3,                         // Documents downloaded/rendered at the same time
+    rootMargin: '200px',                    // Start rendering this far before an image scrolls into view
+    observeMutations: true,                 // Pick up images added or changed after page load
+    autoInit: true,                         // Start on DOMContentLoaded; false waits for pdfThumbnails.init()/refresh()
+    filmstripGap: 4,                        // Pixels between pages in a data-pdf-thumbnail-pages strip
+    previewMaxPages: 20,                    // Pages reachable by the hover preview
+    previewReleaseMs: 2000,                 // Keep the hovered document open this long after the pointer leaves
+    placeholders: {                         // Fallback images (URLs) per state, null keeps the current src
+        loading: null,
+        notPdf: null,
+        password: null,
+        networkError: null
+    },
+    stateClassPrefix: 'pdf-thumbnail-',     // img gets pdf-thumbnail-loading / -rendered / -error
+    httpHeaders: {},                        // Sent with every PDF request, or a function returning them
+    withCredentials: false,                 // Send cookies with cross-origin PDF requests
+    sources: {},                            // Named request options for data-pdf-thumbnail-source
+    passwordProvider: null,                 // function (file, attempt, element) => password | null | Promise
+    passwordAttempts: 3,                    // Give up after this many wrong passwords
+    cache: true,                            // Keep rendered thumbnails in IndexedDB across visits
+    cacheName: 'pdfThumbnails',             // IndexedDB database name
+    cacheMaxBytes: 50 * 1024 * 1024,        // Least recently used thumbnails are evicted beyond this size
+    cacheMaxAgeMs: 30 * 24 * 60 * 60 * 1000 // Thumbnails older than this are rendered again
+};
+
+/**
+ * JS interop surface for Blazor components, backed by one shared createPDFThumbnails instance.
+ * Call refresh(elementRef) in OnAfterRenderAsync and dispose(elementRef) in DisposeAsync.
+ */
+window.pdfThumbnails = {
+    instance: null,
+
+    init: function (options) {
+        if (!this.instance) {
+            this.instance = createPDFThumbnails(options);
+        }
+        return this.instance;
+    },
+
+    refresh: function (root) {
+        this.init().refresh(root);
+    },
+
+    clearCache: function () {
+        return this.init().clearCache();
+    },
+
+    setSource: function (name, sourceOptions) {
+        this.init().setSource(name, sourceOptions);
+    },
+
+    setPasswordProvider: function (dotNetRef, methodName) {
+        this.init().setPasswordProvider(dotNetRef, methodName);
+    },
+
+    registerBlob: function (key, data) {
+        return this.init().registerBlob(key, data);
+    },
+
+    unregisterBlob: function (key) {
+        this.init().unregisterBlob(key);
+    },
+
+    dispose: function (root) {
+        if (!this.instance) {
+            return;
+        }
+
+        this.instance.dispose(root);
+
+        if (!root) {
+            this.instance = null;
+        }
+    }
 };
 
-if (
-    document.readyState === "complete" ||
-    (document.readyState !== "loading" && !document.documentElement.doScroll)
-) {
-    createPDFThumbnails();
-} else {
-    document.addEventListener("DOMContentLoaded", createPDFThumbnails);
+if (Object.assign({}, createPDFThumbnails.defaults, window.pdfThumbnailsOptions).autoInit) {
+    if (
+        document.readyState === "complete" ||
+        (document.readyState !== "loading" && !document.documentElement.doScroll)
+    ) {
+        window.pdfThumbnails.init();
+    } else {
+        document.addEventListener("DOMContentLoaded", function () {
+            window.pdfThumbnails.init();
+        });
+    }
 }
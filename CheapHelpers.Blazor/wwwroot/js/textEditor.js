@@ -1,48 +1,2066 @@
 ﻿window.richTextEditorFunctions = {
+    // Selection/Range based formatting engine. Replaces document.execCommand, which is deprecated
+    // and behaves differently in WebView2, WKWebView and Android WebView. Command names match
+    // execCommand so existing toolbars keep working.
+    formatting: (function () {
+        const INLINE_TAGS = { STRONG: ['STRONG', 'B'], EM: ['EM', 'I'], U: ['U'] };
+        const BLOCK_TAGS = ['P', 'DIV', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'LI', 'BLOCKQUOTE', 'PRE'];
+        const FORMAT_BLOCK_TAGS = ['P', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'BLOCKQUOTE', 'PRE'];
+        const CLEARABLE_TAGS = ['STRONG', 'B', 'EM', 'I', 'U', 'S', 'STRIKE', 'DEL', 'SPAN', 'FONT', 'SUB', 'SUP', 'MARK', 'SMALL', 'BIG'];
+        const CARET_PLACEHOLDER = '\u200B';
+
+        function isBlock(node) {
+            return node.nodeType === 1 && BLOCK_TAGS.includes(node.tagName);
+        }
+
+        function closest(node, editor, predicate) {
+            for (let current = node; current && current !== editor; current = current.parentNode) {
+                if (current.nodeType === 1 && predicate(current)) {
+                    return current;
+                }
+            }
+            return null;
+        }
+
+        function getRange(editor) {
+            const selection = window.getSelection();
+            if (!selection || !selection.rangeCount) {
+                return null;
+            }
+
+            const range = selection.getRangeAt(0);
+            return editor.contains(range.commonAncestorContainer) ? range : null;
+        }
+
+        function select(startNode, startOffset, endNode, endOffset) {
+            const range = document.createRange();
+            range.setStart(startNode, startOffset);
+            range.setEnd(endNode, endOffset);
+
+            const selection = window.getSelection();
+            selection.removeAllRanges();
+            selection.addRange(range);
+            return range;
+        }
+
+        function caretAtEnd(editor) {
+            if (!editor.lastChild) {
+                const paragraph = document.createElement('p');
+                paragraph.appendChild(document.createElement('br'));
+                editor.appendChild(paragraph);
+            }
+
+            const target = editor.lastChild.nodeType === 1 ? editor.lastChild : editor;
+            return select(target, target.childNodes.length, target, target.childNodes.length);
+        }
+
+        // Block operations move nodes around, which collapses live ranges. A bookmark keeps the
+        // boundaries on text nodes (those are moved, never recreated) so the selection survives.
+        function bookmark(range) {
+            function point(container, offset) {
+                if (container.nodeType === 1) {
+                    const after = container.childNodes[offset];
+                    const before = container.childNodes[offset - 1];
+                    if (after && after.nodeType === 3) {
+                        return { node: after, offset: 0 };
+                    }
+                    if (before && before.nodeType === 3) {
+                        return { node: before, offset: before.length };
+                    }
+                }
+                return { node: container, offset: offset };
+            }
+
+            return { start: point(range.startContainer, range.startOffset), end: point(range.endContainer, range.endOffset) };
+        }
+
+        // Points at an element that was replaced move to its replacement
+        function remap(mark, from, to) {
+            [mark.start, mark.end].forEach(point => {
+                if (point.node === from) {
+                    point.node = to;
+                    point.offset = Math.min(point.offset, to.childNodes.length);
+                }
+            });
+        }
+
+        function restore(mark, editor) {
+            const length = node => node.nodeType === 3 ? node.length : node.childNodes.length;
+            if (!editor.contains(mark.start.node) || !editor.contains(mark.end.node)) {
+                return caretAtEnd(editor);
+            }
+
+            return select(mark.start.node, Math.min(mark.start.offset, length(mark.start.node)),
+                mark.end.node, Math.min(mark.end.offset, length(mark.end.node)));
+        }
+
+        function unwrap(element) {
+            const parent = element.parentNode;
+            while (element.firstChild) {
+                parent.insertBefore(element.firstChild, element);
+            }
+            parent.removeChild(element);
+        }
+
+        function hasContent(fragment) {
+            return fragment.textContent.replace(/\u200B/g, '').length > 0 || !!fragment.querySelector('img, br, hr');
+        }
+
+        // Moves node out of ancestor by splitting the ancestor around it
+        function liftOut(ancestor, node) {
+            const range = document.createRange();
+
+            range.setStart(ancestor, 0);
+            range.setEndBefore(node);
+            const before = range.extractContents();
+
+            range.setStartAfter(node);
+            range.setEnd(ancestor, ancestor.childNodes.length);
+            const after = range.extractContents();
+
+            if (hasContent(before)) {
+                const left = ancestor.cloneNode(false);
+                left.appendChild(before);
+                ancestor.parentNode.insertBefore(left, ancestor);
+            }
+            if (hasContent(after)) {
+                const right = ancestor.cloneNode(false);
+                right.appendChild(after);
+                ancestor.parentNode.insertBefore(right, ancestor.nextSibling);
+            }
+
+            unwrap(ancestor);
+        }
+
+        function liftOutOfAll(node, editor, predicate) {
+            let ancestor;
+            while ((ancestor = closest(node, editor, predicate))) {
+                liftOut(ancestor, node);
+            }
+        }
+
+        function wrap(node, tag, attributes) {
+            const previous = node.previousSibling;
+            const sameAttributes = element => Object.keys(attributes || {}).every(name => element.getAttribute(name) === attributes[name]);
+
+            // Extend the previous wrapper instead of creating <b>a</b><b>b</b>
+            if (previous && previous.nodeType === 1 && previous.tagName === tag.toUpperCase() && sameAttributes(previous)) {
+                previous.appendChild(node);
+                return previous;
+            }
+
+            const wrapper = document.createElement(tag);
+            Object.keys(attributes || {}).forEach(name => wrapper.setAttribute(name, attributes[name]));
+            node.parentNode.insertBefore(wrapper, node);
+            wrapper.appendChild(node);
+            return wrapper;
+        }
+
+        // Text nodes inside the range, split at the boundaries so each lies entirely inside it
+        function selectedTextNodes(editor, range) {
+            if (range.collapsed) {
+                return [];
+            }
+
+            let startContainer = range.startContainer;
+            let startOffset = range.startOffset;
+            let endContainer = range.endContainer;
+            let endOffset = range.endOffset;
+
+            if (endContainer.nodeType === 3 && endOffset > 0 && endOffset < endContainer.length) {
+                endContainer.splitText(endOffset);
+            }
+            if (startContainer.nodeType === 3 && startOffset > 0 && startOffset < startContainer.length) {
+                const rest = startContainer.splitText(startOffset);
+                if (endContainer === startContainer) {
+                    endContainer = rest;
+                    endOffset -= startOffset;
+                }
+                startContainer = rest;
+                startOffset = 0;
+            }
+
+            const bounds = document.createRange();
+            bounds.setStart(startContainer, startOffset);
+            bounds.setEnd(endContainer, endOffset);
+
+            const nodes = [];
+            const walker = document.createTreeWalker(editor, NodeFilter.SHOW_TEXT);
+            while (walker.nextNode()) {
+                const node = walker.currentNode;
+                const touchesOnlyStart = node === startContainer && startOffset >= node.length;
+                const touchesOnlyEnd = node === endContainer && endOffset === 0;
+                if (node.length && bounds.intersectsNode(node) && !touchesOnlyStart && !touchesOnlyEnd) {
+                    nodes.push(node);
+                }
+            }
+            return nodes;
+        }
+
+        function selectNodes(nodes) {
+            const last = nodes[nodes.length - 1];
+            return select(nodes[0], 0, last, last.length);
+        }
+
+        function toggleInline(editor, range, tag) {
+            const matches = element => INLINE_TAGS[tag].includes(element.tagName);
+
+            // At the caret: start or end a formatted run with a placeholder the next keystroke lands in
+            if (range.collapsed) {
+                const placeholder = document.createTextNode(CARET_PLACEHOLDER);
+                const formatted = closest(range.startContainer, editor, matches);
+                range.insertNode(placeholder);
+                if (formatted) {
+                    liftOutOfAll(placeholder, editor, matches);
+                } else {
+                    wrap(placeholder, tag);
+                }
+                select(placeholder, 1, placeholder, 1);
+                return true;
+            }
+
+            const nodes = selectedTextNodes(editor, range);
+            if (!nodes.length) {
+                return false;
+            }
+
+            const active = nodes.every(node => closest(node, editor, matches));
+            nodes.forEach(node => {
+                if (active) {
+                    liftOutOfAll(node, editor, matches);
+                } else if (!closest(node, editor, matches)) {
+                    wrap(node, tag);
+                }
+            });
+            selectNodes(nodes);
+            return true;
+        }
+
+        // Loose text and inline elements directly in the editor get a paragraph so block commands have a target
+        function ensureBlocks(editor) {
+            let paragraph = null;
+            Array.from(editor.childNodes).forEach(child => {
+                const inline = child.nodeType === 3 || (child.nodeType === 1 && !isBlock(child) && !['UL', 'OL', 'TABLE', 'HR'].includes(child.tagName));
+                if (!inline) {
+                    paragraph = null;
+                    return;
+                }
+                if (!paragraph && child.nodeType === 3 && !child.textContent.trim()) {
+                    return;
+                }
+                if (!paragraph) {
+                    paragraph = document.createElement('p');
+                    editor.insertBefore(paragraph, child);
+                }
+                paragraph.appendChild(child);
+            });
+        }
+
+        // Innermost blocks touched by the range
+        function selectedBlocks(editor, range) {
+            const blocks = [];
+            const walker = document.createTreeWalker(editor, NodeFilter.SHOW_ELEMENT);
+            while (walker.nextNode()) {
+                const element = walker.currentNode;
+                if (isBlock(element) && range.intersectsNode(element) && !element.querySelector(BLOCK_TAGS.join(','))) {
+                    blocks.push(element);
+                }
+            }
+            return blocks;
+        }
+
+        function withBlocks(editor, range, action) {
+            const mark = bookmark(range);
+            ensureBlocks(editor);
+
+            const start = mark.start.node;
+            const blocksRange = document.createRange();
+            blocksRange.setStart(start, Math.min(mark.start.offset, start.nodeType === 3 ? start.length : start.childNodes.length));
+            blocksRange.setEnd(mark.end.node, Math.min(mark.end.offset, mark.end.node.nodeType === 3 ? mark.end.node.length : mark.end.node.childNodes.length));
+
+            const blocks = selectedBlocks(editor, blocksRange);
+            if (!blocks.length) {
+                return false;
+            }
+
+            action(blocks, mark);
+            restore(mark, editor);
+            return true;
+        }
+
+        function replaceBlock(block, tag, mark) {
+            const replacement = document.createElement(tag);
+            if (block.style.textAlign) {
+                replacement.style.textAlign = block.style.textAlign;
+            }
+            while (block.firstChild) {
+                replacement.appendChild(block.firstChild);
+            }
+            block.parentNode.replaceChild(replacement, block);
+            remap(mark, block, replacement);
+            return replacement;
+        }
+
+        // Turns a list item into a paragraph, splitting the list around it
+        function unlistItem(item, mark) {
+            const list = item.parentNode;
+            const paragraph = document.createElement('p');
+            if (item.style.textAlign) {
+                paragraph.style.textAlign = item.style.textAlign;
+            }
+            while (item.firstChild) {
+                paragraph.appendChild(item.firstChild);
+            }
+
+            const rest = document.createElement(list.tagName);
+            while (item.nextSibling) {
+                rest.appendChild(item.nextSibling);
+            }
+
+            list.parentNode.insertBefore(paragraph, list.nextSibling);
+            if (rest.childNodes.length) {
+                paragraph.parentNode.insertBefore(rest, paragraph.nextSibling);
+            }
+            list.removeChild(item);
+            if (!list.children.length) {
+                list.parentNode.removeChild(list);
+            }
+
+            remap(mark, item, paragraph);
+            return paragraph;
+        }
+
+        function formatBlock(editor, range, value) {
+            const tag = String(value || '').replace(/[<>]/g, '').toUpperCase();
+            if (!FORMAT_BLOCK_TAGS.includes(tag)) {
+                return false;
+            }
+
+            return withBlocks(editor, range, (blocks, mark) => blocks.forEach(block => {
+                if (block.tagName === 'LI') {
+                    block = unlistItem(block, mark);
+                }
+                if (block.tagName !== tag) {
+                    replaceBlock(block, tag, mark);
+                }
+            }));
+        }
+
+        function toggleList(editor, range, listTag) {
+            return withBlocks(editor, range, (blocks, mark) => {
+                const inSameList = block => block.tagName === 'LI' && block.parentNode.tagName === listTag;
+                if (blocks.every(inSameList)) {
+                    blocks.forEach(item => unlistItem(item, mark));
+                    return;
+                }
+
+                let list = null;
+                blocks.forEach(block => {
+                    if (block.tagName === 'LI') {
+                        // Switching a bullet list to numbered (or back) converts the whole list
+                        if (block.parentNode.tagName !== listTag) {
+                            replaceBlock(block.parentNode, listTag, mark);
+                        }
+                        list = block.parentNode;
+                        return;
+                    }
+
+                    if (!list || block.previousElementSibling !== list) {
+                        list = document.createElement(listTag);
+                        block.parentNode.insertBefore(list, block);
+                    }
+                    list.appendChild(replaceBlock(block, 'li', mark));
+                });
+            });
+        }
+
+        function align(editor, range, alignment) {
+            return withBlocks(editor, range, blocks => blocks.forEach(block => {
+                block.style.textAlign = alignment === 'left' ? '' : alignment;
+                if (!block.getAttribute('style')) {
+                    block.removeAttribute('style');
+                }
+            }));
+        }
+
+        // Only web, mail and phone links; bare domains get https://
+        function safeUrl(url) {
+            const trimmed = String(url || '').trim();
+            if (/^(https?:|mailto:|tel:|\/|#)/i.test(trimmed)) {
+                return trimmed;
+            }
+            if (!trimmed || /^[a-z][a-z0-9+.-]*:/i.test(trimmed)) {
+                return null;
+            }
+            return `https://${trimmed}`;
+        }
+
+        function createLink(editor, range, url) {
+            const href = safeUrl(url);
+            if (!href) {
+                return false;
+            }
+
+            const isLink = element => element.tagName === 'A';
+            if (range.collapsed) {
+                const existing = closest(range.startContainer, editor, isLink);
+                if (existing) {
+                    existing.setAttribute('href', href);
+                    return true;
+                }
+
+                const link = document.createElement('a');
+                link.setAttribute('href', href);
+                link.textContent = url;
+                range.insertNode(link);
+                select(link.parentNode, Array.prototype.indexOf.call(link.parentNode.childNodes, link) + 1,
+                    link.parentNode, Array.prototype.indexOf.call(link.parentNode.childNodes, link) + 1);
+                return true;
+            }
+
+            const nodes = selectedTextNodes(editor, range);
+            nodes.forEach(node => {
+                const existing = closest(node, editor, isLink);
+                if (existing) {
+                    existing.setAttribute('href', href);
+                } else {
+                    wrap(node, 'a', { href: href });
+                }
+            });
+            if (nodes.length) {
+                selectNodes(nodes);
+            }
+            return nodes.length > 0;
+        }
+
+        function unlink(editor, range) {
+            const isLink = element => element.tagName === 'A';
+            const nodes = range.collapsed ? [range.startContainer] : selectedTextNodes(editor, range);
+            const links = new Set(nodes.map(node => closest(node, editor, isLink)).filter(Boolean));
+            links.forEach(unwrap);
+            return links.size > 0;
+        }
+
+        function removeFormat(editor, range) {
+            const nodes = selectedTextNodes(editor, range);
+            nodes.forEach(node => liftOutOfAll(node, editor, element => CLEARABLE_TAGS.includes(element.tagName)));
+            if (nodes.length) {
+                selectNodes(nodes);
+            }
+            return nodes.length > 0;
+        }
+
+        const commands = {
+            bold: (editor, range) => toggleInline(editor, range, 'STRONG'),
+            italic: (editor, range) => toggleInline(editor, range, 'EM'),
+            underline: (editor, range) => toggleInline(editor, range, 'U'),
+            insertUnorderedList: (editor, range) => toggleList(editor, range, 'UL'),
+            insertOrderedList: (editor, range) => toggleList(editor, range, 'OL'),
+            formatBlock: formatBlock,
+            createLink: createLink,
+            unlink: unlink,
+            justifyLeft: (editor, range) => align(editor, range, 'left'),
+            justifyCenter: (editor, range) => align(editor, range, 'center'),
+            justifyRight: (editor, range) => align(editor, range, 'right'),
+            justifyFull: (editor, range) => align(editor, range, 'justify'),
+            removeFormat: removeFormat
+        };
+
+        // Inserts already sanitized HTML at the selection and puts the caret after it
+        function insertHtml(editor, html) {
+            const template = document.createElement('template');
+            template.innerHTML = html;
+            const last = template.content.lastChild;
+            if (!last) {
+                return false;
+            }
+
+            const range = getRange(editor) || caretAtEnd(editor);
+            range.deleteContents();
+            range.insertNode(template.content);
+            const parent = last.parentNode;
+            const offset = Array.prototype.indexOf.call(parent.childNodes, last) + 1;
+            select(parent, offset, parent, offset);
+            return true;
+        }
+
+        // Selection as character offsets into the editor text, which survive replacing innerHTML
+        function saveSelection(editor) {
+            const range = getRange(editor);
+            if (!range) {
+                return null;
+            }
+
+            const offset = (container, position) => {
+                const before = document.createRange();
+                before.setStart(editor, 0);
+                before.setEnd(container, position);
+                return before.toString().length;
+            };
+            return { start: offset(range.startContainer, range.startOffset), end: offset(range.endContainer, range.endOffset) };
+        }
+
+        function restoreSelection(editor, saved) {
+            if (!saved) {
+                return;
+            }
+
+            const locate = target => {
+                const walker = document.createTreeWalker(editor, NodeFilter.SHOW_TEXT);
+                let remaining = target;
+                let last = null;
+                while (walker.nextNode()) {
+                    last = walker.currentNode;
+                    if (remaining <= last.length) {
+                        return { node: last, offset: remaining };
+                    }
+                    remaining -= last.length;
+                }
+                return last ? { node: last, offset: last.length } : { node: editor, offset: editor.childNodes.length };
+            };
+
+            const start = locate(saved.start);
+            const end = locate(saved.end);
+            select(start.node, start.offset, end.node, end.offset);
+        }
+
+        // Innermost block around the caret, wrapping loose text in a paragraph first
+        function blockAtCaret(editor) {
+            const range = getRange(editor);
+            if (!range) {
+                return null;
+            }
+
+            const mark = bookmark(range);
+            ensureBlocks(editor);
+            const restored = restore(mark, editor);
+            return closest(restored.startContainer, editor, isBlock);
+        }
+
+        return {
+            getRange: getRange,
+            insertHtml: insertHtml,
+            blockAtCaret: blockAtCaret,
+            saveSelection: saveSelection,
+            restoreSelection: restoreSelection,
+
+            exec: function (editor, command, value) {
+                const handler = commands[command];
+                if (!handler) {
+                    console.warn(`Unsupported editor command: ${command}`);
+                    return false;
+                }
+
+                const range = getRange(editor) || caretAtEnd(editor);
+                return handler(editor, range, value) !== false;
+            },
+
+            // Formatting at the caret (or selection start), for toolbar toggle states
+            getState: function (editor) {
+                const range = getRange(editor);
+                const node = range ? range.startContainer : null;
+                const find = predicate => node ? closest(node, editor, predicate) : null;
+
+                const block = find(isBlock);
+                const list = find(element => element.tagName === 'UL' || element.tagName === 'OL');
+                const link = find(element => element.tagName === 'A');
+
+                return {
+                    bold: !!find(element => INLINE_TAGS.STRONG.includes(element.tagName)),
+                    italic: !!find(element => INLINE_TAGS.EM.includes(element.tagName)),
+                    underline: !!find(element => INLINE_TAGS.U.includes(element.tagName)),
+                    unorderedList: !!list && list.tagName === 'UL',
+                    orderedList: !!list && list.tagName === 'OL',
+                    block: block && FORMAT_BLOCK_TAGS.includes(block.tagName) ? block.tagName.toLowerCase() : 'p',
+                    align: (block && block.style.textAlign) || 'left',
+                    link: link ? link.getAttribute('href') : null
+                };
+            }
+        };
+    })(),
+
+    // Allowlist HTML sanitizer. Parses into an inert document, so handlers never run and
+    // images never load while cleaning. Applied on load, paste/drop and before every sync.
+    sanitizer: (function () {
+        const DEFAULT_TAGS = ['p', 'br', 'div', 'span', 'strong', 'b', 'em', 'i', 'u', 's', 'sub', 'sup',
+            'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'li', 'blockquote', 'pre', 'code', 'a', 'img',
+            'table', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td', 'hr'];
+        const DEFAULT_ATTRIBUTES = {
+            '*': ['style'],
+            a: ['href', 'title', 'target'],
+            code: ['class'],
+            img: ['src', 'alt', 'title', 'width', 'height'],
+            ol: ['start'],
+            td: ['colspan', 'rowspan'],
+            th: ['colspan', 'rowspan']
+        };
+        const DEFAULT_STYLES = ['text-align'];
+
+        // Removed with their content instead of unwrapped
+        const DROP_TAGS = ['script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'noscript',
+            'template', 'svg', 'math', 'head', 'title', 'meta', 'link', 'base', 'form', 'input', 'button', 'select',
+            'textarea', 'xml'];
+        const URL_ATTRIBUTES = ['href', 'src'];
+
+        function createPolicy(options) {
+            options = options || {};
+            const lower = list => list.map(item => String(item).toLowerCase());
+            const attributes = {};
+            const sourceAttributes = options.allowedAttributes || DEFAULT_ATTRIBUTES;
+            Object.keys(sourceAttributes).forEach(tag => {
+                attributes[tag.toLowerCase()] = lower(sourceAttributes[tag]);
+            });
+
+            return {
+                tags: lower(options.allowedTags || DEFAULT_TAGS),
+                attributes: attributes,
+                styles: lower(options.allowedStyles || DEFAULT_STYLES)
+            };
+        }
+
+        function parse(html) {
+            const doc = document.implementation.createHTMLDocument('');
+            doc.body.innerHTML = html || '';
+            return doc.body;
+        }
+
+        function unwrap(element) {
+            const parent = element.parentNode;
+            while (element.firstChild) {
+                parent.insertBefore(element.firstChild, element);
+            }
+            parent.removeChild(element);
+        }
+
+        function isSafeUrl(attribute, value) {
+            // Browsers ignore whitespace and control characters inside the scheme ("java\tscript:")
+            const compact = value.replace(/[\u0000-\u0020]/g, '');
+            if (attribute === 'src' && /^data:image\/(png|gif|jpe?g|webp);base64,/i.test(compact)) {
+                return true;
+            }
+            return /^(https?:|mailto:|tel:)/i.test(compact) || !/^[a-z][a-z0-9+.-]*:/i.test(compact);
+        }
+
+        // 0/1 pixel images are tracking beacons
+        function isTrackingPixel(image) {
+            const tiny = value => value !== null && value !== '' && parseFloat(value) <= 1;
+            return tiny(image.getAttribute('width')) || tiny(image.getAttribute('height'))
+                || tiny(image.style.width) || tiny(image.style.height);
+        }
+
+        function cleanStyle(element, policy) {
+            for (let i = element.style.length - 1; i >= 0; i--) {
+                const property = element.style[i];
+                const value = element.style.getPropertyValue(property);
+                if (!policy.styles.includes(property) || /url\(|expression\(|javascript:/i.test(value)) {
+                    element.style.removeProperty(property);
+                }
+            }
+            if (!element.style.length) {
+                element.removeAttribute('style');
+            }
+        }
+
+        function cleanAttributes(element, tag, policy) {
+            const allowed = (policy.attributes['*'] || []).concat(policy.attributes[tag] || []);
+            Array.from(element.attributes).forEach(attribute => {
+                const name = attribute.name.toLowerCase();
+                if (!allowed.includes(name) || name.startsWith('on')) {
+                    element.removeAttribute(attribute.name);
+                } else if (URL_ATTRIBUTES.includes(name) && !isSafeUrl(name, attribute.value)) {
+                    element.removeAttribute(attribute.name);
+                } else if (name === 'style') {
+                    cleanStyle(element, policy);
+                } else if (name === 'class') {
+                    // Only language-* (from Markdown code fences); classes could restyle the host page
+                    const classes = attribute.value.split(/\s+/).filter(value => /^language-[\w+-]+$/.test(value));
+                    if (classes.length) {
+                        element.setAttribute('class', classes.join(' '));
+                    } else {
+                        element.removeAttribute('class');
+                    }
+                }
+            });
+
+            if (tag === 'a' && element.getAttribute('target')) {
+                element.setAttribute('rel', 'noopener noreferrer');
+            }
+        }
+
+        function cleanChildren(parent, policy) {
+            Array.from(parent.childNodes).forEach(node => {
+                if (node.nodeType === 3) {
+                    return;
+                }
+                // Comments (including Office conditional comments), processing instructions, ...
+                if (node.nodeType !== 1) {
+                    parent.removeChild(node);
+                    return;
+                }
+
+                const tag = node.tagName.toLowerCase();
+                if (DROP_TAGS.includes(tag) || (tag === 'img' && isTrackingPixel(node))) {
+                    parent.removeChild(node);
+                    return;
+                }
+
+                cleanChildren(node, policy);
+                if (!policy.tags.includes(tag)) {
+                    unwrap(node);
+                    return;
+                }
+
+                cleanAttributes(node, tag, policy);
+                if (tag === 'img' && !node.getAttribute('src')) {
+                    parent.removeChild(node);
+                } else if (tag === 'span' && !node.attributes.length) {
+                    unwrap(node);
+                }
+            });
+        }
+
+        // Turns Word and Google Docs markup into plain semantic HTML before sanitizing.
+        // Their formatting lives in inline styles and class names the allowlist would strip.
+        function cleanOfficeMarkup(body) {
+            // Google Docs wraps everything in <b style="font-weight:normal" id="docs-internal-guid-...">
+            body.querySelectorAll('b[id^="docs-internal-guid"]').forEach(unwrap);
+
+            // Word's <o:p> only carries &nbsp; padding
+            Array.from(body.getElementsByTagName('o:p')).forEach(element => element.parentNode.removeChild(element));
+
+            // Styled spans (Google Docs, Word) become tags
+            body.querySelectorAll('span[style]').forEach(span => {
+                const style = span.style;
+                const bold = style.fontWeight === 'bold' || parseInt(style.fontWeight, 10) >= 600;
+                const wrappers = [
+                    bold && 'strong',
+                    style.fontStyle === 'italic' && 'em',
+                    /underline/.test(style.textDecoration || style.textDecorationLine || '') && 'u',
+                    /line-through/.test(style.textDecoration || style.textDecorationLine || '') && 's'
+                ].filter(Boolean);
+
+                wrappers.forEach(tag => {
+                    const wrapper = span.ownerDocument.createElement(tag);
+                    while (span.firstChild) {
+                        wrapper.appendChild(span.firstChild);
+                    }
+                    span.appendChild(wrapper);
+                });
+            });
+
+            // Google Docs puts a <p> in every list item
+            body.querySelectorAll('li > p').forEach(unwrap);
+
+            // Word lists are paragraphs with the bullet or number in a mso-list:Ignore span
+            let list = null;
+            Array.from(body.querySelectorAll('p')).forEach(paragraph => {
+                const isListItem = /^MsoListParagraph/.test(paragraph.className) || /mso-list:\s*l\d/i.test(paragraph.getAttribute('style') || '');
+                if (!isListItem) {
+                    list = null;
+                    return;
+                }
+
+                const marker = paragraph.querySelector('span[style*="mso-list"]');
+                const markerText = marker ? marker.textContent.trim() : '';
+                const listTag = /^(\d+|[a-z]+|[ivxlc]+)[.)]/i.test(markerText) ? 'ol' : 'ul';
+                if (marker) {
+                    marker.parentNode.removeChild(marker);
+                }
+
+                if (!list || list.tagName.toLowerCase() !== listTag || paragraph.previousElementSibling !== list) {
+                    list = paragraph.ownerDocument.createElement(listTag);
+                    paragraph.parentNode.insertBefore(list, paragraph);
+                }
+
+                const item = paragraph.ownerDocument.createElement('li');
+                while (paragraph.firstChild) {
+                    item.appendChild(paragraph.firstChild);
+                }
+                list.appendChild(item);
+                paragraph.parentNode.removeChild(paragraph);
+            });
+        }
+
+        function escapeText(text) {
+            const element = document.createElement('div');
+            element.textContent = text;
+            return element.innerHTML;
+        }
+
+        return {
+            defaults: {
+                allowedTags: DEFAULT_TAGS,
+                allowedAttributes: DEFAULT_ATTRIBUTES,
+                allowedStyles: DEFAULT_STYLES
+            },
+
+            createPolicy: createPolicy,
+
+            sanitize: function (html, policy) {
+                const body = parse(html);
+                cleanChildren(body, policy || createPolicy());
+                return body.innerHTML;
+            },
+
+            // mode: 'clean' (Office/Google Docs cleanup, then sanitize), 'html' (sanitize only) or 'plain' (text only)
+            cleanPaste: function (html, text, mode, policy) {
+                if (mode === 'plain' || !html) {
+                    return escapeText(text || '').replace(/\r?\n/g, '<br>');
+                }
+
+                // The Windows clipboard wraps the copied part in StartFragment/EndFragment markers
+                const fragment = /<!--StartFragment-->([\s\S]*)<!--EndFragment-->/.exec(html);
+                const body = parse(fragment ? fragment[1] : html);
+                if (mode !== 'html') {
+                    cleanOfficeMarkup(body);
+                }
+                cleanChildren(body, policy || createPolicy());
+                return body.innerHTML;
+            }
+        };
+    })(),
+
+    // Markdown import/export (CommonMark + GFM tables and strikethrough) and typing shortcuts.
+    // Import escapes raw HTML, so Markdown content can't smuggle markup past the sanitizer.
+    markdown: (function () {
+        const LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+        const FENCE = /^\s{0,3}(`{3,}|~{3,})\s*([\w+-]*)/;
+        const HEADING = /^\s{0,3}(#{1,6})\s+(.*?)(\s+#+)?\s*$/;
+        const RULE = /^\s{0,3}([-*_])(\s*\1){2,}\s*$/;
+        const QUOTE = /^\s{0,3}>\s?(.*)$/;
+        const TABLE_SEPARATOR = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+        function escapeHtml(text) {
+            return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+        }
+
+        // ---- Markdown to HTML ----
+
+        function inline(text) {
+            const tokens = [];
+            const stash = html => `\u0000${tokens.push(html) - 1}\u0000`;
+            const attribute = value => value.replace(/"/g, '&quot;');
+
+            text = text
+                .replace(/\\([\\`*_{}[\]()#+\-.!|~>])/g, (match, character) => stash(escapeHtml(character)))
+                .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) => stash(`<code>${escapeHtml(code.replace(/^ (.*) $/, '$1'))}</code>`));
+
+            text = escapeHtml(text)
+                .replace(/!\[([^\]]*)\]\(([^)\s]+)(?:\s+&quot;(.*?)&quot;)?\)/g, (match, alt, src, title) =>
+                    stash(`<img src="${attribute(src)}" alt="${alt}"${title ? ` title="${title}"` : ''}>`))
+                .replace(/\[([^\]]+)\]\(([^)\s]+)(?:\s+&quot;(.*?)&quot;)?\)/g, (match, label, href, title) =>
+                    stash(`<a href="${attribute(href)}"${title ? ` title="${title}"` : ''}>`) + label + stash('</a>'))
+                .replace(/&lt;((?:https?:\/\/|mailto:)[^\s&]+)&gt;/g, (match, url) => stash(`<a href="${url}">${url}</a>`))
+                .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>')
+                .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<s>$1</s>')
+                .replace(/\*(?=\S)([\s\S]*?\S)\*/g, '<em>$1</em>')
+                .replace(/(^|[^\w])_(?=\S)([\s\S]*?\S)_(?!\w)/g, '$1<em>$2</em>')
+                .replace(/(?: {2,}|\\)\n/g, '<br>');
+
+            return text.replace(/\u0000(\d+)\u0000/g, (match, index) => tokens[index]);
+        }
+
+        function splitRow(line) {
+            let row = line.trim();
+            if (row.startsWith('|')) {
+                row = row.slice(1);
+            }
+            if (row.endsWith('|') && !row.endsWith('\\|')) {
+                row = row.slice(0, -1);
+            }
+
+            // Split on pipes that aren't escaped
+            const cells = [''];
+            for (let i = 0; i < row.length; i++) {
+                if (row[i] === '\\' && row[i + 1] === '|') {
+                    cells[cells.length - 1] += '\\|';
+                    i++;
+                } else if (row[i] === '|') {
+                    cells.push('');
+                } else {
+                    cells[cells.length - 1] += row[i];
+                }
+            }
+            return cells.map(cell => cell.trim());
+        }
+
+        function isTableStart(lines, i) {
+            return lines[i].includes('|') && i + 1 < lines.length && lines[i + 1].includes('-') && TABLE_SEPARATOR.test(lines[i + 1]);
+        }
+
+        function startsBlock(lines, i) {
+            const line = lines[i];
+            return FENCE.test(line) || HEADING.test(line) || RULE.test(line) || QUOTE.test(line) || LIST_ITEM.test(line) || isTableStart(lines, i);
+        }
+
+        function parseTable(lines, i) {
+            const header = splitRow(lines[i]);
+            const aligns = splitRow(lines[i + 1]).map(cell => {
+                const left = cell.startsWith(':');
+                const right = cell.endsWith(':');
+                return left && right ? 'center' : right ? 'right' : left ? 'left' : '';
+            });
+            const cell = (tag, content, column) => {
+                const align = aligns[column] ? ` style="text-align: ${aligns[column]};"` : '';
+                return `<${tag}${align}>${inline(content || '')}</${tag}>`;
+            };
+
+            let html = `<table><thead><tr>${header.map((content, column) => cell('th', content, column)).join('')}</tr></thead><tbody>`;
+            i += 2;
+            while (i < lines.length && lines[i].trim() && lines[i].includes('|')) {
+                const cells = splitRow(lines[i]);
+                html += `<tr>${header.map((unused, column) => cell('td', cells[column], column)).join('')}</tr>`;
+                i++;
+            }
+            return { html: `${html}</tbody></table>`, next: i };
+        }
+
+        function parseList(lines, i) {
+            const first = LIST_ITEM.exec(lines[i]);
+            const indent = first[1].length;
+            const ordered = /\d/.test(first[2]);
+            const tag = ordered ? 'ol' : 'ul';
+            const start = ordered ? parseInt(first[2], 10) : 1;
+            let html = `<${tag}${ordered && start !== 1 ? ` start="${start}"` : ''}>`;
+
+            while (i < lines.length) {
+                const item = LIST_ITEM.exec(lines[i]);
+                if (!item || item[1].length !== indent || /\d/.test(item[2]) !== ordered) {
+                    break;
+                }
+
+                // The item owns the following lines that are indented past its marker, blank lines included
+                const contentIndent = item[1].length + item[2].length + 1;
+                const content = [item[3]];
+                i++;
+                while (i < lines.length) {
+                    const line = lines[i];
+                    const leading = line.length - line.trimStart().length;
+                    if (line.trim() && leading <= indent) {
+                        break;
+                    }
+                    if (!line.trim() && !(i + 1 < lines.length && lines[i + 1].trim() && lines[i + 1].length - lines[i + 1].trimStart().length > indent)) {
+                        break;
+                    }
+                    content.push(line.slice(Math.min(leading, contentIndent)));
+                    i++;
+                }
+
+                // Tight items hold their text directly, which is what the editor produces
+                html += `<li>${parseBlocks(content).replace(/^<p>([\s\S]*?)<\/p>/, '$1')}</li>`;
+            }
+            return { html: `${html}</${tag}>`, next: i };
+        }
+
+        function parseBlocks(lines) {
+            let html = '';
+            let i = 0;
+            while (i < lines.length) {
+                const line = lines[i];
+                let match;
+
+                if (!line.trim()) {
+                    i++;
+                } else if ((match = FENCE.exec(line))) {
+                    const fence = match[1];
+                    const code = [];
+                    i++;
+                    const closing = new RegExp(`^\\s{0,3}${fence[0]}{${fence.length},}\\s*$`);
+                    while (i < lines.length && !closing.test(lines[i])) {
+                        code.push(lines[i]);
+                        i++;
+                    }
+                    i++;
+                    const language = match[2] ? ` class="language-${match[2]}"` : '';
+                    html += `<pre><code${language}>${escapeHtml(code.join('\n'))}</code></pre>`;
+                } else if ((match = HEADING.exec(line))) {
+                    html += `<h${match[1].length}>${inline(match[2])}</h${match[1].length}>`;
+                    i++;
+                } else if (RULE.test(line)) {
+                    html += '<hr>';
+                    i++;
+                } else if (QUOTE.test(line)) {
+                    const quoted = [];
+                    while (i < lines.length && QUOTE.test(lines[i])) {
+                        quoted.push(QUOTE.exec(lines[i])[1]);
+                        i++;
+                    }
+                    html += `<blockquote>${parseBlocks(quoted)}</blockquote>`;
+                } else if (isTableStart(lines, i)) {
+                    const table = parseTable(lines, i);
+                    html += table.html;
+                    i = table.next;
+                } else if (LIST_ITEM.test(line)) {
+                    const list = parseList(lines, i);
+                    html += list.html;
+                    i = list.next;
+                } else {
+                    const paragraph = [line.trim()];
+                    i++;
+                    while (i < lines.length && lines[i].trim() && !startsBlock(lines, i)) {
+                        paragraph.push(lines[i].replace(/^\s+/, ''));
+                        i++;
+                    }
+                    html += `<p>${inline(paragraph.join('\n'))}</p>`;
+                }
+            }
+            return html;
+        }
+
+        // ---- HTML to Markdown ----
+
+        const BLOCK_NODES = ['P', 'DIV', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'UL', 'OL', 'LI', 'BLOCKQUOTE', 'PRE', 'TABLE', 'HR'];
+
+        function escapeMarkdown(text) {
+            return text
+                .replace(/([\\`*_])/g, '\\$1')
+                .replace(/~~/g, '\\~\\~')
+                .replace(/\[(?=[^\]]*\]\()/g, '\\[');
+        }
+
+        // Text that would start a block when it begins a line
+        function escapeLineStart(line) {
+            return line
+                .replace(/^(\s*)(#{1,6}(?:\s|$)|>|[-+]\s|-(?=-)|(\d+)[.)]\s)/, (match, space, marker, number) =>
+                    number ? `${space}${number}\\${marker.slice(number.length)}` : `${space}\\${marker}`);
+        }
+
+        function fenceFor(code, minimum) {
+            const longest = (code.match(/`+/g) || []).reduce((max, run) => Math.max(max, run.length), 0);
+            return '`'.repeat(Math.max(minimum, longest + 1));
+        }
+
+        // Keeps spaces outside the markers: "** bold**" isn't emphasis
+        function wrapInline(content, marker) {
+            const match = /^(\s*)([\s\S]*?)(\s*)$/.exec(content);
+            return match[2] ? `${match[1]}${marker}${match[2]}${marker}${match[3]}` : content;
+        }
+
+        function inlineMarkdown(node) {
+            let result = '';
+            node.childNodes.forEach(child => {
+                if (child.nodeType === 3) {
+                    result += escapeMarkdown(child.data.replace(/\s+/g, ' '));
+                    return;
+                }
+                if (child.nodeType !== 1) {
+                    return;
+                }
+
+                switch (child.tagName) {
+                    case 'STRONG':
+                    case 'B':
+                        result += wrapInline(inlineMarkdown(child), '**');
+                        break;
+                    case 'EM':
+                    case 'I':
+                        result += wrapInline(inlineMarkdown(child), '*');
+                        break;
+                    case 'S':
+                    case 'STRIKE':
+                    case 'DEL':
+                        result += wrapInline(inlineMarkdown(child), '~~');
+                        break;
+                    case 'CODE': {
+                        const code = child.textContent;
+                        const ticks = fenceFor(code, 1);
+                        const pad = code.startsWith('`') || code.endsWith('`') ? ' ' : '';
+                        result += `${ticks}${pad}${code}${pad}${ticks}`;
+                        break;
+                    }
+                    case 'A': {
+                        const title = child.getAttribute('title');
+                        const href = (child.getAttribute('href') || '').replace(/[()\s]/g, encodeURIComponent);
+                        result += `[${inlineMarkdown(child)}](${href}${title ? ` "${title.replace(/"/g, '\\"')}"` : ''})`;
+                        break;
+                    }
+                    case 'IMG': {
+                        const src = (child.getAttribute('src') || '').replace(/[()\s]/g, encodeURIComponent);
+                        result += `![${escapeMarkdown(child.getAttribute('alt') || '')}](${src})`;
+                        break;
+                    }
+                    case 'BR':
+                        result += '\\\n';
+                        break;
+                    default:
+                        result += inlineMarkdown(child);
+                }
+            });
+            return result;
+        }
+
+        function paragraph(node) {
+            return inlineMarkdown(node).replace(/(\\\n)+$/, '').trim()
+                .split('\n').map(line => escapeLineStart(line.replace(/^\s+/, ''))).join('\n');
+        }
+
+        function tableMarkdown(table) {
+            const rows = Array.from(table.querySelectorAll('tr'));
+            if (!rows.length) {
+                return '';
+            }
+
+            const cellText = cell => paragraph(cell).replace(/\\\n/g, ' ').replace(/\|/g, '\\|');
+            const columns = Math.max(...rows.map(row => row.children.length));
+            const line = cells => `| ${Array.from({ length: columns }, (unused, i) => cells[i] || '').join(' | ')} |`;
+            const header = Array.from(rows[0].children);
+            const separator = Array.from({ length: columns }, (unused, i) => {
+                const align = header[i] ? header[i].style.textAlign : '';
+                return align === 'center' ? ':---:' : align === 'right' ? '---:' : align === 'left' ? ':---' : '---';
+            });
+
+            return [
+                line(header.map(cellText)),
+                line(separator),
+                ...rows.slice(1).map(row => line(Array.from(row.children).map(cellText)))
+            ].join('\n');
+        }
+
+        function listMarkdown(list) {
+            const ordered = list.tagName === 'OL';
+            let number = parseInt(list.getAttribute('start'), 10) || 1;
+
+            return Array.from(list.children).filter(child => child.tagName === 'LI').map(item => {
+                const marker = ordered ? `${number++}. ` : '- ';
+                const padding = ' '.repeat(marker.length);
+                const content = blocksMarkdown(item, '\n');
+                return (marker + content.split('\n').map((line, i) => i && line ? padding + line : line).join('\n')).trimEnd();
+            }).join('\n');
+        }
+
+        function blockMarkdown(node) {
+            switch (node.tagName) {
+                case 'H1': case 'H2': case 'H3': case 'H4': case 'H5': case 'H6':
+                    return `${'#'.repeat(parseInt(node.tagName[1], 10))} ${paragraph(node).replace(/\\\n/g, ' ')}`;
+                case 'UL':
+                case 'OL':
+                    return listMarkdown(node);
+                case 'BLOCKQUOTE':
+                    return blocksMarkdown(node).split('\n').map(line => line ? `> ${line}` : '>').join('\n');
+                case 'PRE': {
+                    const code = node.textContent.replace(/\n$/, '');
+                    const language = /language-([\w+-]+)/.exec(node.querySelector('code') ? node.querySelector('code').className : '');
+                    const fence = fenceFor(code, 3);
+                    return `${fence}${language ? language[1] : ''}\n${code}\n${fence}`;
+                }
+                case 'TABLE':
+                    return tableMarkdown(node);
+                case 'HR':
+                    return '---';
+                case 'DIV':
+                case 'LI':
+                    return blocksMarkdown(node);
+                default:
+                    return paragraph(node);
+            }
+        }
+
+        // Blocks separated by a blank line; runs of inline content form a paragraph.
+        // Inside list items the separator is a single newline so lists stay tight.
+        function blocksMarkdown(parent, separator) {
+            const parts = [];
+            let run = null;
+            const flush = () => {
+                if (run) {
+                    const text = paragraph(run);
+                    if (text) {
+                        parts.push(text);
+                    }
+                    run = null;
+                }
+            };
+
+            Array.from(parent.childNodes).forEach(child => {
+                if (child.nodeType === 1 && BLOCK_NODES.includes(child.tagName)) {
+                    flush();
+                    const text = blockMarkdown(child);
+                    if (text.trim()) {
+                        parts.push(text);
+                    }
+                } else {
+                    run = run || parent.ownerDocument.createElement('span');
+                    run.appendChild(child.cloneNode(true));
+                }
+            });
+            flush();
+            return parts.join(separator || '\n\n');
+        }
+
+        // ---- Typing shortcuts ----
+
+        const BLOCK_SHORTCUTS = [
+            { pattern: /^(#{1,6})$/, command: 'formatBlock', value: match => `h${match[1].length}` },
+            { pattern: /^[-*+]$/, command: 'insertUnorderedList' },
+            { pattern: /^\d+[.)]$/, command: 'insertOrderedList' },
+            { pattern: /^>$/, command: 'formatBlock', value: () => 'blockquote' },
+            { pattern: /^```$/, command: 'formatBlock', value: () => 'pre' }
+        ];
+
+        const INLINE_SHORTCUTS = [
+            { pattern: /()\*\*([^*\s](?:[^*]*[^*\s])?)\*\*$/, tag: 'strong' },
+            { pattern: /()__([^_\s](?:[^_]*[^_\s])?)__$/, tag: 'strong' },
+            { pattern: /()~~([^~\s](?:[^~]*[^~\s])?)~~$/, tag: 's' },
+            { pattern: /()`([^`]+)`$/, tag: 'code' },
+            { pattern: /(^|[^*])\*([^*\s](?:[^*]*[^*\s])?)\*$/, tag: 'em' },
+            { pattern: /(^|[^_\w])_([^_\s](?:[^_]*[^_\s])?)_$/, tag: 'em' }
+        ];
+
+        function applyBlockShortcut(editor, formatting, range) {
+            const block = formatting.blockAtCaret(editor);
+            if (!block || block.tagName === 'PRE' || block.tagName === 'LI') {
+                return false;
+            }
+
+            const before = document.createRange();
+            before.setStart(block, 0);
+            before.setEnd(range.startContainer, range.startOffset);
+            const typed = before.toString();
+            if (!/[ \u00A0]$/.test(typed)) {
+                return false;
+            }
+
+            const marker = typed.slice(0, -1);
+            const shortcut = BLOCK_SHORTCUTS.find(candidate => candidate.pattern.test(marker));
+            if (!shortcut) {
+                return false;
+            }
+
+            before.deleteContents();
+            if (!block.textContent && !block.querySelector('br')) {
+                block.appendChild(document.createElement('br'));
+            }
+            const selection = window.getSelection();
+            selection.removeAllRanges();
+            const caret = document.createRange();
+            caret.setStart(block, 0);
+            selection.addRange(caret);
+
+            return formatting.exec(editor, shortcut.command, shortcut.value ? shortcut.value(shortcut.pattern.exec(marker)) : null);
+        }
+
+        function applyInlineShortcut(editor, range) {
+            const node = range.startContainer;
+            if (node.nodeType !== 3 || node.parentNode.closest('code, pre')) {
+                return false;
+            }
+
+            const before = node.data.slice(0, range.startOffset);
+            for (const shortcut of INLINE_SHORTCUTS) {
+                const match = shortcut.pattern.exec(before);
+                if (!match) {
+                    continue;
+                }
+
+                // Replace "**text**" with <strong>text</strong> and continue typing after it, unformatted
+                const start = before.length - match[0].length + match[1].length;
+                const replaced = document.createRange();
+                replaced.setStart(node, start);
+                replaced.setEnd(node, range.startOffset);
+                replaced.deleteContents();
+
+                const element = document.createElement(shortcut.tag);
+                element.textContent = match[2];
+                const after = document.createTextNode('\u200B');
+                replaced.insertNode(after);
+                replaced.insertNode(element);
+
+                const selection = window.getSelection();
+                selection.removeAllRanges();
+                const caret = document.createRange();
+                caret.setStart(after, 1);
+                selection.addRange(caret);
+                return true;
+            }
+            return false;
+        }
+
+        return {
+            toHtml: function (markdown) {
+                return parseBlocks(String(markdown || '').replace(/\r\n?/g, '\n').split('\n'));
+            },
+
+            fromHtml: function (html) {
+                const doc = document.implementation.createHTMLDocument('');
+                doc.body.innerHTML = html || '';
+                return blocksMarkdown(doc.body).replace(/\u200B/g, '');
+            },
+
+            // Called after a character was typed; converts "# ", "- ", "1. ", "> ", "**bold**", ...
+            shortcut: function (editor, formatting, typed) {
+                const range = formatting.getRange(editor);
+                if (!range || !range.collapsed) {
+                    return false;
+                }
+
+                if (typed === ' ') {
+                    return applyBlockShortcut(editor, formatting, range);
+                }
+                if ('*_~`'.includes(typed)) {
+                    return applyInlineShortcut(editor, range);
+                }
+                return false;
+            }
+        };
+    })(),
+
+    // Coarse change between two versions of the editor text: the changed span after
+    // trimming the common prefix and suffix. Null when the text is the same.
+    diffText: function (before, after) {
+        if (before === after) {
+            return null;
+        }
+
+        let start = 0;
+        while (start < before.length && start < after.length && before[start] === after[start]) {
+            start++;
+        }
+
+        let beforeEnd = before.length;
+        let afterEnd = after.length;
+        while (beforeEnd > start && afterEnd > start && before[beforeEnd - 1] === after[afterEnd - 1]) {
+            beforeEnd--;
+            afterEnd--;
+        }
+
+        const deleteCount = beforeEnd - start;
+        const insertedText = after.slice(start, afterEnd);
+        return {
+            type: deleteCount && insertedText ? 'replace' : deleteCount ? 'delete' : 'insert',
+            start: start,
+            deleteCount: deleteCount,
+            insertedText: insertedText
+        };
+    },
+
+    // Instance API: one editor per container, bound to its own DotNetObjectReference.
+    // Returned to .NET as an IJSObjectReference; call dispose() when the component goes away.
+    create: function (container, dotNetRef, options) {
+        if (!container) {
+            throw new Error('richTextEditorFunctions.create requires a container element');
+        }
+
+        const settings = Object.assign({
+            content: '',
+            methodName: 'UpdateContent',    // [JSInvokable] method receiving the HTML
+            syncDelayMs: 300,
+            minHeight: '400px',
+            stateMethodName: null,          // [JSInvokable] receiving the formatting state at the caret
+            allowedTags: null,              // null = sanitizer.defaults
+            allowedAttributes: null,        // { tag: [attributes], '*': [attributes on every tag] }
+            allowedStyles: null,            // CSS properties kept in style attributes
+            pasteMode: 'clean',             // 'clean' (strip Office/Google Docs markup), 'html' or 'plain'
+            historyLimit: 100,              // Undo steps kept
+            historyDelayMs: 1000,           // Typing within this window is one undo step
+            dirtyMethodName: null,          // [JSInvokable] receiving true/false when the dirty flag flips
+            changeMethodName: null,         // [JSInvokable] receiving a coarse change per sync
+            warnOnLeave: false,             // Browser prompt when the page unloads with unsaved edits
+            uploadMethodName: null,         // [JSInvokable] receiving pasted/dropped images as a stream, returning the URL
+            maxImageSizeMB: 10,
+            imageResize: true,              // Corner handles on a clicked image
+            onImageUpload: null,            // JS alternative to uploadMethodName: (blob) => Promise<url>
+            format: 'html',                 // 'html' or 'markdown', for content, setContent, getContent and sync
+            markdownShortcuts: null,        // "# ", "- ", "**bold**" while typing; null = on for the markdown format
+            onChange: null                  // JS alternative to dotNetRef
+        }, options);
+        const formatting = this.formatting;
+        const sanitizer = this.sanitizer;
+        const diffText = this.diffText;
+        const markdown = this.markdown;
+        const shortcuts = settings.markdownShortcuts === null ? settings.format === 'markdown' : !!settings.markdownShortcuts;
+        const policy = sanitizer.createPolicy(settings);
+
+        let syncTimeout = null;
+        let stateTimeout = null;
+        let lastState = null;
+        let lastRange = null;
+        let disposed = false;
+
+        // Own undo/redo stack; the browser's is lost on every innerHTML assignment
+        const history = { undo: [], redo: [], current: null, lastTyping: false, lastRecordAt: 0 };
+        let cleanHtml = null;
+        let dirty = false;
+        let reportedText = null;
+
+        let uploadCount = 0;
+        const pendingUploads = new Set();
+        let resizeFrame = null;
+        let resizeTarget = null;
+        let dragSource = null;
+
+        // Clear container
+        container.innerHTML = '';
+
+        // Create the editor element
+        const editor = document.createElement('div');
+        editor.contentEditable = 'true';
+        editor.style.width = '100%';
+        editor.style.minHeight = settings.minHeight;
+        editor.style.padding = '10px';
+        editor.style.overflowY = 'auto';
+        editor.style.outline = 'none';
+        editor.innerHTML = sanitizer.sanitize(toHtml(settings.content, settings.format), policy);
+
+        function toHtml(content, format) {
+            return format === 'markdown' ? markdown.toHtml(content) : content;
+        }
+
+        function snapshot() {
+            return { html: editor.innerHTML, selection: formatting.saveSelection(editor) };
+        }
+
+        function resetHistoryState() {
+            history.undo = [];
+            history.redo = [];
+            history.current = snapshot();
+            history.lastTyping = false;
+            cleanHtml = history.current.html;
+            reportedText = text();
+            updateDirty();
+        }
+
+        // Call after every change. Typing bursts (typing = true) within historyDelayMs share one undo step.
+        function record(typing) {
+            const next = snapshot();
+            if (next.html === history.current.html) {
+                history.current.selection = next.selection;
+                return;
+            }
+
+            const now = Date.now();
+            const continuesTyping = typing && history.lastTyping && now - history.lastRecordAt < settings.historyDelayMs;
+            if (!continuesTyping) {
+                history.undo.push(history.current);
+                if (history.undo.length > settings.historyLimit) {
+                    history.undo.shift();
+                }
+            }
+
+            history.current = next;
+            history.redo = [];
+            history.lastTyping = typing;
+            history.lastRecordAt = now;
+            updateDirty();
+        }
+
+        function applySnapshot(target) {
+            hideResizer();
+            editor.innerHTML = target.html;
+            // Placeholders of uploads that finished since the snapshot was taken
+            editor.querySelectorAll('img[data-upload-id]').forEach(image => {
+                if (!pendingUploads.has(image.getAttribute('data-upload-id'))) {
+                    image.remove();
+                }
+            });
+            formatting.restoreSelection(editor, target.selection);
+            history.lastTyping = false;
+            updateDirty();
+            sync();
+            reportState();
+        }
+
+        function undo() {
+            if (!history.undo.length) {
+                return false;
+            }
+
+            record(false);
+            history.redo.push(history.current);
+            history.current = history.undo.pop();
+            applySnapshot(history.current);
+            return true;
+        }
+
+        function redo() {
+            if (!history.redo.length) {
+                return false;
+            }
+
+            history.undo.push(history.current);
+            history.current = history.redo.pop();
+            applySnapshot(history.current);
+            return true;
+        }
+
+        function updateDirty() {
+            const isDirty = history.current.html !== cleanHtml;
+            if (isDirty === dirty) {
+                return;
+            }
+
+            dirty = isDirty;
+            if (settings.dirtyMethodName && dotNetRef) {
+                dotNetRef.invokeMethodAsync(settings.dirtyMethodName, dirty)
+                    .catch(e => console.error('Error reporting editor dirty state:', e));
+            }
+        }
+
+        function text() {
+            return editor.textContent.replace(/\u200B/g, '');
+        }
+
+        function reportChange() {
+            if (!settings.changeMethodName || !dotNetRef) {
+                return;
+            }
+
+            const current = text();
+            const change = diffText(reportedText, current);
+            reportedText = current;
+            if (change) {
+                dotNetRef.invokeMethodAsync(settings.changeMethodName, change)
+                    .catch(e => console.error('Error reporting editor change:', e));
+            }
+        }
+
+        function sync() {
+            clearTimeout(syncTimeout);
+            syncTimeout = null;
+            if (disposed) {
+                return;
+            }
+
+            reportChange();
+            const html = instance.getContent();
+            if (typeof settings.onChange === 'function') {
+                settings.onChange(html);
+            }
+            if (dotNetRef && typeof dotNetRef.invokeMethodAsync === 'function') {
+                dotNetRef.invokeMethodAsync(settings.methodName, html)
+                    .catch(e => console.error('Error syncing editor content:', e));
+            }
+        }
+
+        // Sync at most every syncDelayMs while typing to prevent too many calls
+        function scheduleSync() {
+            if (!syncTimeout) {
+                syncTimeout = setTimeout(sync, settings.syncDelayMs);
+            }
+        }
+
+        function onBlur() {
+            if (syncTimeout) {
+                sync();
+            }
+        }
+
+        function onInput(event) {
+            positionResizer();
+            record(true);
+            // Separate undo step, so Ctrl+Z brings back the typed "**bold**"
+            if (shortcuts && event.inputType === 'insertText' && event.data && markdown.shortcut(editor, formatting, event.data.slice(-1))) {
+                record(false);
+                reportState();
+            }
+            scheduleSync();
+        }
+
+        function onKeyDown(event) {
+            if (!(event.ctrlKey || event.metaKey) || event.altKey) {
+                return;
+            }
+
+            const key = event.key.toLowerCase();
+            if (key === 'z' && !event.shiftKey) {
+                event.preventDefault();
+                undo();
+            } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+                event.preventDefault();
+                redo();
+            }
+        }
+
+        // Undo/redo from the browser's edit menu or context menu
+        function onBeforeInput(event) {
+            if (event.inputType === 'historyUndo') {
+                event.preventDefault();
+                undo();
+            } else if (event.inputType === 'historyRedo') {
+                event.preventDefault();
+                redo();
+            }
+        }
+
+        function onBeforeUnload(event) {
+            if (dirty) {
+                event.preventDefault();
+                event.returnValue = '';
+            }
+        }
+
+        function reportState() {
+            clearTimeout(stateTimeout);
+            stateTimeout = null;
+            if (disposed || !settings.stateMethodName || !dotNetRef) {
+                return;
+            }
+
+            // Only send changes; selectionchange fires on every caret move
+            const state = JSON.stringify(formatting.getState(editor));
+            if (state !== lastState) {
+                lastState = state;
+                dotNetRef.invokeMethodAsync(settings.stateMethodName, JSON.parse(state))
+                    .catch(e => console.error('Error reporting editor state:', e));
+            }
+        }
+
+        // Toolbar clicks move focus out of the editor; remember where the selection was
+        function onSelectionChange() {
+            const range = formatting.getRange(editor);
+            if (!range) {
+                return;
+            }
+
+            lastRange = range.cloneRange();
+            if (!stateTimeout) {
+                stateTimeout = setTimeout(reportState, 100);
+            }
+        }
+
+        function insert(html) {
+            if (formatting.insertHtml(editor, html)) {
+                record(false);
+                sync();
+            }
+        }
+
+        // Pasted and dropped HTML never reaches the DOM unsanitized
+        function insertTransfer(event, data) {
+            const html = sanitizer.cleanPaste(data.getData('text/html'), data.getData('text/plain'), settings.pasteMode, policy);
+            event.preventDefault();
+            insert(uploadDataImages(html));
+        }
+
+        function canUploadImages() {
+            return typeof settings.onImageUpload === 'function' || !!(settings.uploadMethodName && dotNetRef);
+        }
+
+        function imageFiles(data) {
+            return Array.from(data.files || []).filter(file => /^image\//.test(file.type));
+        }
+
+        function dataUrlToBlob(url) {
+            const comma = url.indexOf(',');
+            const type = /^data:([^;,]+)/.exec(url)[1];
+            const bytes = atob(url.slice(comma + 1));
+            const array = new Uint8Array(bytes.length);
+            for (let i = 0; i < bytes.length; i++) {
+                array[i] = bytes.charCodeAt(i);
+            }
+            return new Blob([array], { type: type });
+        }
+
+        function uploadImage(blob) {
+            if (typeof settings.onImageUpload === 'function') {
+                return Promise.resolve(settings.onImageUpload(blob));
+            }
+
+            const extension = (blob.type.split('/')[1] || 'png').replace('jpeg', 'jpg').replace(/\+.*/, '');
+            return dotNetRef.invokeMethodAsync(settings.uploadMethodName, DotNet.createJSStreamReference(blob), {
+                fileName: blob.name || `pasted-image.${extension}`,
+                contentType: blob.type,
+                size: blob.size
+            });
+        }
+
+        // Shows a local preview while the bytes go to .NET; the sanitizer drops blob: URLs,
+        // so a pending placeholder is never synced
+        function createImagePlaceholder(blob) {
+            if (blob.size > settings.maxImageSizeMB * 1024 * 1024) {
+                console.warn(`Image larger than ${settings.maxImageSizeMB} MB skipped`);
+                return null;
+            }
+
+            const id = `upload-${++uploadCount}`;
+            const preview = URL.createObjectURL(blob);
+            const placeholder = document.createElement('img');
+            placeholder.setAttribute('src', preview);
+            placeholder.setAttribute('data-upload-id', id);
+            placeholder.style.opacity = '0.5';
+            pendingUploads.add(id);
+
+            uploadImage(blob)
+                .catch(e => {
+                    console.error('Error uploading image:', e);
+                    return null;
+                })
+                .then(url => {
+                    URL.revokeObjectURL(preview);
+                    pendingUploads.delete(id);
+                    const image = editor.querySelector(`img[data-upload-id="${id}"]`);
+                    if (disposed || !image) {
+                        return;
+                    }
+
+                    if (url) {
+                        image.setAttribute('src', url);
+                        image.removeAttribute('data-upload-id');
+                        image.removeAttribute('style');
+                    } else {
+                        image.remove();
+                    }
+                    record(false);
+                    sync();
+                });
+
+            return placeholder;
+        }
+
+        // Base64 images inside pasted HTML are uploaded too instead of being synced as data: URLs
+        function uploadDataImages(html) {
+            if (!canUploadImages() || !/src="data:/i.test(html)) {
+                return html;
+            }
+
+            const template = document.createElement('template');
+            template.innerHTML = html;
+            template.content.querySelectorAll('img[src^="data:"]').forEach(image => {
+                const placeholder = createImagePlaceholder(dataUrlToBlob(image.getAttribute('src')));
+                if (placeholder) {
+                    image.replaceWith(placeholder);
+                } else {
+                    image.remove();
+                }
+            });
+            return template.innerHTML;
+        }
+
+        function insertImages(files) {
+            const placeholders = files.map(createImagePlaceholder).filter(Boolean);
+            insert(placeholders.map(placeholder => placeholder.outerHTML).join(''));
+        }
+
+        function onPaste(event) {
+            const data = event.clipboardData;
+            if (!data) {
+                return;
+            }
+
+            // Screenshots and copied image files; Office puts an image of the selection next to its HTML, so HTML wins
+            const types = Array.from(data.types);
+            const images = imageFiles(data);
+            if (images.length && !types.includes('text/html')) {
+                if (canUploadImages()) {
+                    event.preventDefault();
+                    insertImages(images);
+                    return;
+                }
+
+                // Without an upload handler the files are ignored rather than embedded by the browser
+                if (!types.includes('text/plain')) {
+                    event.preventDefault();
+                    return;
+                }
+            }
+
+            insertTransfer(event, data);
+        }
+
+        // Drags that start in the editor move its own content instead of pasting a copy
+        function onDragStart(event) {
+            let range = formatting.getRange(editor);
+            if (event.target.nodeName === 'IMG') {
+                range = document.createRange();
+                range.selectNode(event.target);
+            }
+            dragSource = range && !range.collapsed ? range.cloneRange() : null;
+        }
+
+        function onDragEnd() {
+            dragSource = null;
+        }
+
+        function onDrop(event) {
+            const data = event.dataTransfer;
+            const source = dragSource;
+            dragSource = null;
+            const types = data ? Array.from(data.types) : [];
+            const hasText = types.includes('text/html') || types.includes('text/plain');
+            const files = data ? imageFiles(data) : [];
+            const images = canUploadImages() ? files : [];
+            if (!source && !images.length && !hasText) {
+                // Left alone, the browser opens the file in the tab (losing the editor) or embeds it
+                if (files.length) {
+                    event.preventDefault();
+                }
+                return;
+            }
+
+            // Drop at the pointer, not at the old caret
+            const point = document.caretRangeFromPoint
+                ? document.caretRangeFromPoint(event.clientX, event.clientY)
+                : null;
+            const target = point && editor.contains(point.startContainer) ? point : null;
+
+            let moved = null;
+            if (source) {
+                event.preventDefault();
+                if (target && source.comparePoint(target.startContainer, target.startOffset) === 0) {
+                    return;
+                }
+
+                // The target range is live, so it stays put while the source is taken out
+                const template = document.createElement('template');
+                template.content.appendChild(source.extractContents());
+                moved = sanitizer.sanitize(template.innerHTML, policy);
+            }
+
+            if (target) {
+                const selection = window.getSelection();
+                selection.removeAllRanges();
+                selection.addRange(target);
+            }
+
+            if (source) {
+                insert(moved);
+            } else if (images.length) {
+                event.preventDefault();
+                insertImages(images);
+            } else {
+                insertTransfer(event, data);
+            }
+        }
+
+        // Resize frame around the clicked image. It lives in the container, outside the content.
+        function showResizer(image) {
+            hideResizer();
+            resizeTarget = image;
+            resizeFrame = document.createElement('div');
+            resizeFrame.className = 'rte-image-resizer';
+            Object.assign(resizeFrame.style, {
+                position: 'absolute',
+                border: '1px dashed #1976d2',
+                boxSizing: 'border-box',
+                pointerEvents: 'none'
+            });
+
+            ['nw', 'ne', 'sw', 'se'].forEach(corner => {
+                const handle = document.createElement('div');
+                handle.setAttribute('data-corner', corner);
+                Object.assign(handle.style, {
+                    position: 'absolute',
+                    width: '10px',
+                    height: '10px',
+                    background: '#1976d2',
+                    pointerEvents: 'auto',
+                    cursor: `${corner}-resize`,
+                    [corner[0] === 'n' ? 'top' : 'bottom']: '-5px',
+                    [corner[1] === 'w' ? 'left' : 'right']: '-5px'
+                });
+                handle.addEventListener('pointerdown', startResize);
+                resizeFrame.appendChild(handle);
+            });
+
+            container.appendChild(resizeFrame);
+            positionResizer();
+        }
+
+        function positionResizer() {
+            if (!resizeFrame) {
+                return;
+            }
+            if (!editor.contains(resizeTarget)) {
+                hideResizer();
+                return;
+            }
+
+            const box = resizeTarget.getBoundingClientRect();
+            const origin = container.getBoundingClientRect();
+            Object.assign(resizeFrame.style, {
+                left: `${box.left - origin.left + container.scrollLeft}px`,
+                top: `${box.top - origin.top + container.scrollTop}px`,
+                width: `${box.width}px`,
+                height: `${box.height}px`
+            });
+        }
+
+        function hideResizer() {
+            if (resizeFrame) {
+                resizeFrame.remove();
+            }
+            resizeFrame = null;
+            resizeTarget = null;
+        }
+
+        // Width only; the height follows the aspect ratio
+        function startResize(event) {
+            event.preventDefault();
+            const image = resizeTarget;
+            const fromLeft = event.currentTarget.getAttribute('data-corner')[1] === 'w';
+            const startX = event.clientX;
+            const startWidth = image.getBoundingClientRect().width;
+
+            function onMove(moveEvent) {
+                const delta = (moveEvent.clientX - startX) * (fromLeft ? -1 : 1);
+                const width = Math.max(20, Math.min(editor.clientWidth || Infinity, Math.round(startWidth + delta)));
+                image.setAttribute('width', width);
+                image.removeAttribute('height');
+                positionResizer();
+            }
+
+            function onEnd() {
+                document.removeEventListener('pointermove', onMove);
+                document.removeEventListener('pointerup', onEnd);
+                record(false);
+                sync();
+            }
+
+            document.addEventListener('pointermove', onMove);
+            document.addEventListener('pointerup', onEnd);
+        }
+
+        function onClick(event) {
+            const target = event.target;
+            if (settings.imageResize && target.tagName === 'IMG' && !target.hasAttribute('data-upload-id')) {
+                showResizer(target);
+            } else {
+                hideResizer();
+            }
+        }
+
+        editor.addEventListener('input', onInput);
+        editor.addEventListener('blur', onBlur);
+        editor.addEventListener('keydown', onKeyDown);
+        editor.addEventListener('beforeinput', onBeforeInput);
+        editor.addEventListener('paste', onPaste);
+        editor.addEventListener('drop', onDrop);
+        editor.addEventListener('dragstart', onDragStart);
+        editor.addEventListener('dragend', onDragEnd);
+        editor.addEventListener('click', onClick);
+        editor.addEventListener('scroll', positionResizer);
+        document.addEventListener('selectionchange', onSelectionChange);
+        if (settings.warnOnLeave) {
+            window.addEventListener('beforeunload', onBeforeUnload);
+        }
+        if (getComputedStyle(container).position === 'static') {
+            container.style.position = 'relative';
+        }
+        container.appendChild(editor);
+        resetHistoryState();
+
+        const instance = {
+            element: editor,
+
+            // format: 'html' or 'markdown', defaults to the editor's format
+            getContent: function (format) {
+                // Caret placeholders from toggling formatting without a selection
+                const html = sanitizer.sanitize(editor.innerHTML.replace(/\u200B/g, ''), policy);
+                return (format || settings.format) === 'markdown' ? markdown.fromHtml(html) : html;
+            },
+
+            // Undoable by default. resetHistory starts a new document: empty history, not dirty.
+            setContent: function (content, resetHistory, format) {
+                hideResizer();
+                editor.innerHTML = sanitizer.sanitize(toHtml(content, format || settings.format), policy);
+                if (resetHistory) {
+                    resetHistoryState();
+                } else {
+                    record(false);
+                }
+                return true;
+            },
+
+            execCommand: function (command, value) {
+                if (!formatting.getRange(editor)) {
+                    editor.focus();
+                    if (lastRange && editor.contains(lastRange.commonAncestorContainer)) {
+                        const selection = window.getSelection();
+                        selection.removeAllRanges();
+                        selection.addRange(lastRange);
+                    }
+                }
+
+                const applied = formatting.exec(editor, command, value);
+                if (applied) {
+                    record(false);
+                    sync();
+                }
+                reportState();
+                return applied;
+            },
+
+            getState: function () {
+                return formatting.getState(editor);
+            },
+
+            undo: undo,
+            redo: redo,
+
+            canUndo: function () {
+                return history.undo.length > 0;
+            },
+
+            canRedo: function () {
+                return history.redo.length > 0;
+            },
+
+            isDirty: function () {
+                return dirty;
+            },
+
+            // Call after saving; undoing back to this point makes the editor clean again
+            markClean: function () {
+                record(false);
+                cleanHtml = history.current.html;
+                updateDirty();
+            },
+
+            focus: function () {
+                editor.focus();
+            },
+
+            dispose: function () {
+                if (disposed) {
+                    return;
+                }
+
+                disposed = true;
+                clearTimeout(syncTimeout);
+                clearTimeout(stateTimeout);
+                editor.removeEventListener('input', onInput);
+                editor.removeEventListener('blur', onBlur);
+                editor.removeEventListener('keydown', onKeyDown);
+                editor.removeEventListener('beforeinput', onBeforeInput);
+                editor.removeEventListener('paste', onPaste);
+                editor.removeEventListener('drop', onDrop);
+                editor.removeEventListener('dragstart', onDragStart);
+                editor.removeEventListener('dragend', onDragEnd);
+                editor.removeEventListener('click', onClick);
+                editor.removeEventListener('scroll', positionResizer);
+                document.removeEventListener('selectionchange', onSelectionChange);
+                window.removeEventListener('beforeunload', onBeforeUnload);
+                hideResizer();
+                editor.remove();
+                delete container._richTextEditor;
+            }
+        };
+
+        container._richTextEditor = instance;
+        return instance;
+    },
+
+    // Single-editor API bound to #editorContainer and the static UpdateContent handler.
+    // Kept for existing pages; use create() for new code.
+    legacyEditor: null,
+
     // Create and initialize the editor
     createEditor: function (content) {
         try {
-            // Clear any existing editor
             const container = document.getElementById('editorContainer');
             if (!container) {
                 console.error('Editor container not found');
                 return false;
             }
 
-            // Clear container
-            container.innerHTML = '';
-
-            // Create the editor element
-            const editor = document.createElement('div');
-            editor.id = 'richTextEditor';
-            editor.contentEditable = 'true';
-            editor.style.width = '100%';
-            editor.style.minHeight = '400px';
-            editor.style.padding = '10px';
-            editor.style.overflowY = 'auto';
-            editor.style.outline = 'none';
-            editor.innerHTML = content || '';
+            if (this.legacyEditor) {
+                this.legacyEditor.dispose();
+            }
 
-            // Add input event listener to sync content back to .NET
-            editor.addEventListener('input', function () {
-                // We'll poll the content every 300ms during input to prevent too many calls
-                if (!editor._inputTimeout) {
-                    editor._inputTimeout = setTimeout(function () {
-                        editor._inputTimeout = null;
-                        DotNet.invokeMethodAsync('CheapHelpers.Blazor', 'UpdateContent', editor.innerHTML);
-                    }, 300);
-                }
+            this.legacyEditor = this.create(container, null, {
+                content: content,
+                onChange: html => DotNet.invokeMethodAsync('CheapHelpers.Blazor', 'UpdateContent', html)
             });
-
-            // Add the editor to the container
-            container.appendChild(editor);
-
-            // Force a focus and blur to make sure the editor is properly initialized
-            editor.focus();
-            setTimeout(() => {
-                // Just to ensure everything is rendered
-                console.log('Editor initialized with content length: ' + (content ? content.length : 0));
-            }, 0);
+            this.legacyEditor.element.id = 'richTextEditor';
+            this.legacyEditor.focus();
 
             return true;
         } catch (e) {
@@ -53,14 +2071,7 @@
 
     execCommand: function (command, value) {
         try {
-            document.execCommand(command, false, value || null);
-
-            // Manually trigger content update
-            const editor = document.getElementById('richTextEditor');
-            if (editor) {
-                DotNet.invokeMethodAsync('CheapHelpers.Blazor', 'UpdateContent', editor.innerHTML);
-            }
-            return true;
+            return this.legacyEditor ? this.legacyEditor.execCommand(command, value) : false;
         } catch (e) {
             console.error('Error executing command:', e);
             return false;
@@ -68,16 +2079,13 @@
     },
 
     getContent: function () {
-        const editor = document.getElementById('richTextEditor');
-        return editor ? editor.innerHTML : '';
+        return this.legacyEditor ? this.legacyEditor.getContent() : '';
     },
 
     setContent: function (content) {
-        const editor = document.getElementById('richTextEditor');
-        if (editor) {
+        if (this.legacyEditor) {
             try {
-                editor.innerHTML = content;
-                return true;
+                return this.legacyEditor.setContent(content);
             } catch (e) {
                 console.error('Error setting content:', e);
                 return false;
@@ -11,10 +11,28 @@
     // Generic WebView Bridge configuration
     const defaultConfig = {
         namespace: 'WebViewBridge',           // Global namespace for the bridge
-        pollingIntervalMs: 3000,              // How often to check for changes
+        changeDetection: 'events',            // 'events' (hooks + fallback poll) or 'polling'
+        pollingIntervalMs: 3000,              // How often to check for changes in 'polling' mode
+        fallbackPollingIntervalMs: 30000,     // Safety-net poll in 'events' mode, 0 to disable
+        eventDebounceMs: 100,                 // Coalesces bursts of change events into one check
+        transports: 'auto',                   // 'auto' or transport names/objects, see hostTransports
+        webkitHandlerName: null,              // WKWebView message handler, defaults to namespace
+        androidInterfaceName: null,           // Android JavascriptInterface, defaults to namespace + 'Android'
+        domAttributes: false,                 // Opt-in: mirror redacted data on <body> data-* attributes (true, or 'fallback' without a native transport)
+        requestTimeoutMs: 10000,              // Host requests fail with 'timeout' after this long
         storageKeys: [],                      // Keys to monitor in localStorage/sessionStorage
         cookieNames: [],                      // Cookie names to monitor
         domSelectors: [],                     // DOM selectors for data extraction
+        allowlistOnly: true,                  // Only expose storageKeys/cookieNames, never all storage or every cookie
+        redaction: {                          // Masks token-like values wherever other scripts or logs can see them
+            keyPatterns: [/token/i, /secret/i, /passw(or)?d/i, /jwt/i, /bearer/i, /api[-_]?key/i, /^auth/i, /credential/i,
+                /^(session[-_]?id|sid|connect\.sid)$/i, /^\.aspnetcore\./i],
+            detectJwt: true,                  // Also mask any string containing a JWT
+            mask: '[redacted]',
+            page: true,                       // DOM event detail and data-* attributes
+            logs: true,                       // Debug logs
+            host: false                       // Messages to the native host, which usually needs the real values
+        },
         debug: false,                         // Enable debug logging
         autoInit: true,                       // Auto-initialize on load
         extractionStrategies: {               // Which strategies to use
@@ -27,16 +45,326 @@
         }
     };
 
+    const JWT_PATTERN = /eyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/;
+
+    const isSensitiveKey = (key, policy) =>
+        key != null && policy.keyPatterns.some(pattern => pattern instanceof RegExp
+            ? pattern.test(String(key))
+            : String(key).toLowerCase().includes(String(pattern).toLowerCase()));
+
+    /**
+     * Copy of value with secrets replaced by policy.mask: anything stored under a key matching
+     * policy.keyPatterns (at any depth) and, with detectJwt, any string containing a JWT
+     */
+    const redact = (value, key, policy, depth = 0) => {
+        if (value === null || value === undefined) {
+            return value;
+        }
+        if (isSensitiveKey(key, policy) || depth > 20) {
+            return policy.mask;
+        }
+        if (typeof value === 'string') {
+            return policy.detectJwt && JWT_PATTERN.test(value) ? policy.mask : value;
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => redact(item, null, policy, depth + 1));
+        }
+        if (typeof value === 'object') {
+            const copy = {};
+            for (const [childKey, childValue] of Object.entries(value)) {
+                copy[childKey] = redact(childValue, childKey, policy, depth + 1);
+            }
+            return copy;
+        }
+        return value;
+    };
+
+    /**
+     * Same-document change hooks, shared by every bridge on the page.
+     * Wraps Storage.prototype.setItem/removeItem/clear, history.pushState/replaceState and the
+     * document.cookie setter; the originals are restored when the last listener is removed.
+     */
+    const changeHooks = {
+        listeners: new Set(),
+        originals: null,
+        wrappers: null,
+
+        add: function (listener) {
+            this.listeners.add(listener);
+            if (!this.originals) {
+                this.install();
+            }
+
+            return () => {
+                this.listeners.delete(listener);
+                if (!this.listeners.size) {
+                    this.uninstall();
+                }
+            };
+        },
+
+        notify: function (change) {
+            this.listeners.forEach(listener => {
+                try {
+                    listener(change);
+                } catch (error) {
+                    console.error('[WebViewBridge] Change listener failed:', error);
+                }
+            });
+        },
+
+        install: function () {
+            const hooks = this;
+            const originals = this.originals = {};
+            const wrappers = this.wrappers = {};
+
+            const storageName = storage => {
+                try {
+                    return storage === window.localStorage ? 'localStorage' : 'sessionStorage';
+                } catch (e) {
+                    return 'unknown';
+                }
+            };
+
+            if (typeof Storage !== 'undefined') {
+                ['setItem', 'removeItem', 'clear'].forEach(method => {
+                    const original = originals[method] = Storage.prototype[method];
+                    wrappers[method] = Storage.prototype[method] = function (key) {
+                        const result = original.apply(this, arguments);
+                        hooks.notify({ type: 'storage', storage: storageName(this), key: method === 'clear' ? null : String(key) });
+                        return result;
+                    };
+                });
+            }
+
+            ['pushState', 'replaceState'].forEach(method => {
+                const original = originals[method] = history[method];
+                wrappers[method] = history[method] = function () {
+                    const result = original.apply(this, arguments);
+                    hooks.notify({ type: 'navigation', url: location.href });
+                    return result;
+                };
+            });
+
+            const cookie = Object.getOwnPropertyDescriptor(Document.prototype, 'cookie');
+            if (cookie && cookie.configurable && cookie.get && cookie.set) {
+                originals.cookie = cookie;
+                wrappers.cookie = function (value) {
+                    cookie.set.call(this, value);
+                    hooks.notify({ type: 'cookie', name: String(value).split('=')[0].trim() });
+                };
+                Object.defineProperty(Document.prototype, 'cookie', {
+                    configurable: true,
+                    enumerable: cookie.enumerable,
+                    get: function () {
+                        return cookie.get.call(this);
+                    },
+                    set: wrappers.cookie
+                });
+            }
+        },
+
+        uninstall: function () {
+            const originals = this.originals;
+            const wrappers = this.wrappers;
+            this.originals = null;
+            this.wrappers = null;
+            if (!originals) {
+                return;
+            }
+
+            // Leave wrappers installed by other scripts after ours alone
+            ['setItem', 'removeItem', 'clear'].forEach(method => {
+                if (originals[method] && Storage.prototype[method] === wrappers[method]) {
+                    Storage.prototype[method] = originals[method];
+                }
+            });
+            ['pushState', 'replaceState'].forEach(method => {
+                if (history[method] === wrappers[method]) {
+                    history[method] = originals[method];
+                }
+            });
+            if (originals.cookie) {
+                const cookie = Object.getOwnPropertyDescriptor(Document.prototype, 'cookie');
+                if (cookie && cookie.set === wrappers.cookie) {
+                    Object.defineProperty(Document.prototype, 'cookie', originals.cookie);
+                }
+            }
+        }
+    };
+
+    /**
+     * Native host transports, in detection order. Each receives the envelope serialized as a
+     * JSON string, which every host API accepts and the C# side parses the same way.
+     */
+    const hostTransports = {
+        // WebView2 (WinForms/WPF/MAUI Windows): CoreWebView2.WebMessageReceived
+        webview2: {
+            isAvailable: () => !!(window.chrome && window.chrome.webview && typeof window.chrome.webview.postMessage === 'function'),
+            send: (json) => window.chrome.webview.postMessage(json)
+        },
+
+        // WKWebView (iOS/macOS): WKUserContentController script message handler
+        webkit: {
+            isAvailable: (config) => {
+                const handlers = window.webkit && window.webkit.messageHandlers;
+                return !!(handlers && handlers[config.webkitHandlerName || config.namespace]);
+            },
+            send: (json, config) => window.webkit.messageHandlers[config.webkitHandlerName || config.namespace].postMessage(json)
+        },
+
+        // Android WebView: object registered with addJavascriptInterface exposing postMessage(String)
+        android: {
+            isAvailable: (config) => {
+                const host = window[config.androidInterfaceName || `${config.namespace}Android`];
+                return !!(host && typeof host.postMessage === 'function');
+            },
+            send: (json, config) => window[config.androidInterfaceName || `${config.namespace}Android`].postMessage(json)
+        },
+
+        // Photino: RegisterWebMessageReceivedHandler
+        photino: {
+            isAvailable: () => !!(window.external && typeof window.external.sendMessage === 'function'),
+            send: (json) => window.external.sendMessage(json)
+        },
+
+        // window[namespace + 'Callback'], for hosts that inject their own function. Never picked by 'auto':
+        // any script can define that global, and host messages are not redacted by default
+        callback: {
+            isAvailable: (config) => typeof window[`${config.namespace}Callback`] === 'function',
+            send: (json, config) => window[`${config.namespace}Callback`](json)
+        }
+    };
+
+    const commandError = (code, message) => Object.assign(new Error(message), { code: code });
+
+    const requireString = (value, name) => {
+        if (typeof value !== 'string' || value === '') {
+            throw commandError('invalidArgs', `'${name}' must be a non-empty string`);
+        }
+        return value;
+    };
+
+    const resolveStorage = (name = 'localStorage') => {
+        if (name !== 'localStorage' && name !== 'sessionStorage') {
+            throw commandError('invalidArgs', `Unknown storage '${name}'`);
+        }
+        return window[name];
+    };
+
+    const serializeCookie = (args) => {
+        let cookie = `${encodeURIComponent(requireString(args.name, 'name'))}=${encodeURIComponent(args.value == null ? '' : String(args.value))}`;
+        cookie += `; path=${args.path || '/'}`;
+        if (args.domain) cookie += `; domain=${args.domain}`;
+        if (args.maxAge != null) cookie += `; max-age=${Math.floor(args.maxAge)}`;
+        if (args.expires) cookie += `; expires=${new Date(args.expires).toUTCString()}`;
+        if (args.sameSite) cookie += `; samesite=${args.sameSite}`;
+        if (args.secure) cookie += '; secure';
+        return cookie;
+    };
+
+    /**
+     * Commands the host can run in the page through request messages. Each receives the request
+     * args and the bridge; the return value (or resolved promise) becomes the response result and
+     * a thrown error's code/message are sent back as the response error.
+     */
+    const pageCommands = {
+        'storage.get': (args) => resolveStorage(args.storage).getItem(requireString(args.key, 'key')),
+
+        'storage.getAll': (args, bridge) => {
+            const storage = resolveStorage(args.storage);
+            const entries = {};
+            for (let i = 0; i < storage.length; i++) {
+                const key = storage.key(i);
+                entries[key] = storage.getItem(key);
+            }
+            return bridge.filterAllowed(entries, 'storage');
+        },
+
+        'storage.set': (args) => {
+            const value = typeof args.value === 'string' ? args.value : JSON.stringify(args.value);
+            resolveStorage(args.storage).setItem(requireString(args.key, 'key'), value);
+            return null;
+        },
+
+        'storage.remove': (args) => {
+            resolveStorage(args.storage).removeItem(requireString(args.key, 'key'));
+            return null;
+        },
+
+        'cookie.get': (args, bridge) => {
+            const cookies = bridge.parseCookies();
+            const name = requireString(args.name, 'name');
+            return Object.prototype.hasOwnProperty.call(cookies, name) ? cookies[name] : null;
+        },
+
+        'cookie.getAll': (args, bridge) => bridge.filterAllowed(bridge.parseCookies(), 'cookie'),
+
+        'cookie.set': (args) => {
+            document.cookie = serializeCookie(args);
+            return null;
+        },
+
+        'cookie.remove': (args) => {
+            document.cookie = serializeCookie(Object.assign({}, args, { value: '', maxAge: 0, expires: null }));
+            return null;
+        },
+
+        // Returns false when a listener called preventDefault()
+        'dom.dispatch': (args) => {
+            const target = args.selector ? document.querySelector(args.selector) : document;
+            if (!target) {
+                throw commandError('notFound', `No element matches '${args.selector}'`);
+            }
+            return target.dispatchEvent(new CustomEvent(requireString(args.event, 'event'), {
+                detail: args.detail === undefined ? null : args.detail,
+                bubbles: args.bubbles !== false,
+                cancelable: true
+            }));
+        },
+
+        'navigate': (args) => {
+            const url = new URL(requireString(args.url, 'url'), location.href);
+            if (url.protocol !== 'http:' && url.protocol !== 'https:' && url.protocol !== location.protocol) {
+                throw commandError('invalidArgs', `Navigation to '${url.protocol}' URLs is not allowed`);
+            }
+            if (args.replace) {
+                location.replace(url.href);
+            } else {
+                location.assign(url.href);
+            }
+            return null;
+        },
+
+        'handler.call': (args, bridge) => {
+            const name = requireString(args.name, 'name');
+            const handler = bridge.handlers.get(name);
+            if (!handler) {
+                throw commandError('unknownHandler', `No page handler registered as '${name}'`);
+            }
+            return handler(args.args === undefined ? null : args.args);
+        }
+    };
+
     // Bridge instance
     window.createWebViewBridge = function (userConfig) {
         const config = Object.assign({}, defaultConfig, userConfig);
+        config.extractionStrategies = Object.assign({}, defaultConfig.extractionStrategies, userConfig && userConfig.extractionStrategies);
+        config.redaction = Object.assign({}, defaultConfig.redaction, userConfig && userConfig.redaction);
 
         const bridge = {
             config: config,
             currentData: null,
-            lastDataJson: null,
             pollingInterval: null,
             lastCheck: null,
+            intervals: [],
+            listeners: [],
+            removeChangeHooks: null,
+            domObserver: null,
+            scheduledCheck: null,
+            transports: [],
+            handlers: new Map(),
+            hostListenersReady: false,
 
             /**
              * Initialize the bridge
@@ -48,8 +376,11 @@
                     console.log(`[${config.namespace}] Monitoring keys:`, config.storageKeys);
                 }
 
+                this.transports = this.resolveTransports();
+                this.setupHostListeners();
                 this.setupMonitoring();
                 this.setupEventListeners();
+                this.sendToHost('ready', { transports: this.transports.map(transport => transport.name) });
                 this.checkDataState();
 
                 if (config.debug) {
@@ -70,30 +401,86 @@
             },
 
             /**
-             * Setup polling for data changes
+             * Whether changes are detected through events, with polling only as a fallback
+             */
+            isEventDriven: function () {
+                return config.changeDetection !== 'polling';
+            },
+
+            /**
+             * Setup polling for data changes. In 'events' mode this is the slow safety net for
+             * changes no event reports (globals, HTTP Set-Cookie without CookieStore, ...).
              */
             setupMonitoring: function () {
                 if (this.pollingInterval) {
                     clearInterval(this.pollingInterval);
+                    this.pollingInterval = null;
+                }
+
+                const interval = this.isEventDriven() ? config.fallbackPollingIntervalMs : config.pollingIntervalMs;
+                if (!interval) {
+                    return;
                 }
 
                 this.pollingInterval = setInterval(() => {
                     this.checkDataState();
-                }, config.pollingIntervalMs);
+                }, interval);
 
                 if (config.debug) {
-                    console.log(`[${config.namespace}] Polling active (${config.pollingIntervalMs}ms intervals)`);
+                    console.log(`[${config.namespace}] Polling active (${interval}ms intervals)`);
                 }
             },
 
             /**
-             * Stop monitoring
+             * Stop monitoring: polling, event listeners and change hooks
              */
             stopMonitoring: function () {
                 if (this.pollingInterval) {
                     clearInterval(this.pollingInterval);
                     this.pollingInterval = null;
                 }
+
+                this.intervals.forEach(interval => clearInterval(interval));
+                this.intervals = [];
+
+                this.listeners.forEach(({ target, type, handler, options }) => target.removeEventListener(type, handler, options));
+                this.listeners = [];
+
+                if (this.removeChangeHooks) {
+                    this.removeChangeHooks();
+                    this.removeChangeHooks = null;
+                }
+                if (this.domObserver) {
+                    this.domObserver.disconnect();
+                    this.domObserver = null;
+                }
+                clearTimeout(this.scheduledCheck);
+                this.scheduledCheck = null;
+            },
+
+            /**
+             * Add an event listener that stopMonitoring removes again
+             */
+            listen: function (target, type, handler, options) {
+                target.addEventListener(type, handler, options);
+                this.listeners.push({ target, type, handler, options });
+            },
+
+            /**
+             * Check data once after a burst of change events settles
+             */
+            scheduleCheck: function (reason) {
+                if (this.scheduledCheck) {
+                    return;
+                }
+
+                this.scheduledCheck = setTimeout(() => {
+                    this.scheduledCheck = null;
+                    if (config.debug) {
+                        console.log(`[${config.namespace}] Change event (${reason}), checking data`);
+                    }
+                    this.checkDataState();
+                }, config.eventDebounceMs);
             },
 
             /**
@@ -102,20 +489,19 @@
             checkDataState: function () {
                 try {
                     const extractedData = this.extractData();
-                    const dataJson = JSON.stringify(extractedData);
+                    const changes = this.diffData(this.currentData, extractedData);
 
                     // Check if data has changed
-                    if (dataJson !== this.lastDataJson) {
+                    if (changes.length > 0) {
                         if (config.debug) {
                             console.log(`[${config.namespace}] Data change detected`);
-                            console.log('  New data:', extractedData);
+                            console.log('  Changes:', config.redaction.logs ? this.redactChanges(changes) : changes);
                         }
 
                         this.currentData = extractedData;
-                        this.lastDataJson = dataJson;
                         this.lastCheck = new Date().toISOString();
 
-                        this.onDataChanged(extractedData);
+                        this.onDataChanged(extractedData, changes);
                     } else if (config.debug && Math.random() < 0.05) {
                         // Occasional debug output (5% chance)
                         console.log(`[${config.namespace}] Data check: no changes`);
@@ -125,6 +511,46 @@
                 }
             },
 
+            /**
+             * Per-source, per-key diff of two extractions. Only rawData is compared, so volatile
+             * metadata (timestamp, extractedFrom) never counts as a change.
+             * Returns [{ key, source, oldValue, newValue }]; added/removed keys have a null side.
+             */
+            diffData: function (previous, current) {
+                const sources = {
+                    localStorage: 'localStorage',
+                    sessionStorage: 'sessionStorage',
+                    cookies: 'cookie',
+                    dom: 'dom',
+                    url: 'url',
+                    globals: 'global'
+                };
+                const serialize = (value) => {
+                    try {
+                        return JSON.stringify(value);
+                    } catch (e) {
+                        return value;
+                    }
+                };
+
+                const changes = [];
+                for (const [rawKey, source] of Object.entries(sources)) {
+                    const before = (previous && previous.rawData[rawKey]) || {};
+                    const after = current.rawData[rawKey] || {};
+                    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+                    for (const key of keys) {
+                        const oldValue = before[key] === undefined ? null : before[key];
+                        const newValue = after[key] === undefined ? null : after[key];
+                        if (serialize(oldValue) !== serialize(newValue)) {
+                            changes.push({ key, source, oldValue, newValue });
+                        }
+                    }
+                }
+
+                return changes;
+            },
+
             /**
              * Extract data from all configured sources
              */
@@ -233,7 +659,7 @@
              */
             extractFromCookies: function (data) {
                 try {
-                    const cookies = this.parseCookies();
+                    const cookies = this.filterAllowed(this.parseCookies(), 'cookie');
                     data.rawData.cookies = cookies;
 
                     for (const cookieName of config.cookieNames) {
@@ -254,6 +680,8 @@
              */
             extractFromDOM: function (data) {
                 try {
+                    const domData = {};
+
                     for (const selector of config.domSelectors) {
                         try {
                             const element = document.querySelector(selector);
@@ -265,8 +693,9 @@
 
                                 if (value && value.length > 0 && value !== 'null') {
                                     const key = selector.replace(/[^a-zA-Z0-9]/g, '_');
+                                    domData[selector] = this.tryParseJson(value);
                                     if (!data[key]) {
-                                        data[key] = this.tryParseJson(value);
+                                        data[key] = domData[selector];
                                     }
                                     data.extractedFrom.push(`dom:${selector}`);
                                 }
@@ -275,6 +704,8 @@
                             console.warn(`[${config.namespace}] DOM extraction failed for selector ${selector}:`, e);
                         }
                     }
+
+                    data.rawData.dom = domData;
                 } catch (error) {
                     console.error(`[${config.namespace}] DOM extraction failed:`, error);
                 }
@@ -287,14 +718,20 @@
                 try {
                     const params = new URLSearchParams(window.location.search);
                     const hashParams = new URLSearchParams(window.location.hash.substring(1));
+                    const urlData = {};
 
                     for (const key of config.storageKeys) {
                         const urlValue = params.get(key) || hashParams.get(key);
-                        if (urlValue && !data[key]) {
-                            data[key] = this.tryParseJson(urlValue);
-                            data.extractedFrom.push(`url:${key}`);
+                        if (urlValue) {
+                            urlData[key] = this.tryParseJson(urlValue);
+                            if (!data[key]) {
+                                data[key] = urlData[key];
+                                data.extractedFrom.push(`url:${key}`);
+                            }
                         }
                     }
+
+                    data.rawData.url = urlData;
                 } catch (error) {
                     console.error(`[${config.namespace}] URL extraction failed:`, error);
                 }
@@ -305,17 +742,54 @@
              */
             extractFromGlobals: function (data) {
                 try {
+                    const globalData = {};
+
                     for (const key of config.storageKeys) {
-                        if (window[key] !== undefined && !data[key]) {
-                            data[key] = window[key];
-                            data.extractedFrom.push(`global:${key}`);
+                        if (window[key] !== undefined) {
+                            globalData[key] = window[key];
+                            if (!data[key]) {
+                                data[key] = window[key];
+                                data.extractedFrom.push(`global:${key}`);
+                            }
                         }
                     }
+
+                    data.rawData.globals = globalData;
                 } catch (error) {
                     console.error(`[${config.namespace}] Global variable extraction failed:`, error);
                 }
             },
 
+            /**
+             * Drop entries outside storageKeys/cookieNames unless allowlistOnly is turned off
+             */
+            filterAllowed: function (entries, kind) {
+                if (!config.allowlistOnly) {
+                    return entries;
+                }
+
+                const allowed = kind === 'cookie' ? config.cookieNames : config.storageKeys;
+                return Object.fromEntries(Object.entries(entries).filter(([key]) => allowed.includes(key)));
+            },
+
+            /**
+             * Apply the redaction policy to a value stored under key
+             */
+            redact: function (value, key) {
+                return redact(value, key, config.redaction);
+            },
+
+            redactData: function (data) {
+                return redact(data, null, config.redaction);
+            },
+
+            redactChanges: function (changes) {
+                return changes.map(change => Object.assign({}, change, {
+                    oldValue: redact(change.oldValue, change.key, config.redaction),
+                    newValue: redact(change.newValue, change.key, config.redaction)
+                }));
+            },
+
             /**
              * Try to parse JSON value
              */
@@ -383,25 +857,31 @@
             },
 
             /**
-             * Data change handler
+             * Data change handler; changes are the records from diffData
              */
-            onDataChanged: function (data) {
+            onDataChanged: function (data, changes) {
                 if (config.debug) {
                     console.log(`[${config.namespace}] Broadcasting data change`);
                 }
 
-                // Update DOM attributes for C# access
-                this.updateDOMAttributes(data);
+                // Everything below is visible to other scripts on the page
+                const pageData = config.redaction.page ? this.redactData(data) : data;
+                const pageChanges = config.redaction.page ? this.redactChanges(changes) : changes;
+
+                // Opt-in mirror on <body> for hosts that can only read the DOM
+                if (config.domAttributes === true || (config.domAttributes === 'fallback' && !this.hasNativeTransport())) {
+                    this.updateDOMAttributes(pageData);
+                }
 
                 // Dispatch custom event
-                this.dispatchDataEvent(data);
+                this.dispatchDataEvent(pageData, pageChanges);
 
                 // Callback for C# integration
-                this.notifyHost(data);
+                this.notifyHost(config.redaction.host ? this.redactChanges(changes) : changes);
             },
 
             /**
-             * Update DOM attributes for C# polling
+             * Update DOM attributes for C# polling (opt-in, see domAttributes)
              */
             updateDOMAttributes: function (data) {
                 try {
@@ -421,12 +901,13 @@
             /**
              * Dispatch custom event
              */
-            dispatchDataEvent: function (data) {
+            dispatchDataEvent: function (data, changes) {
                 try {
                     const eventName = `${config.namespace}DataChanged`;
                     const event = new CustomEvent(eventName, {
                         detail: {
                             data: data,
+                            changes: changes,
                             timestamp: Date.now()
                         }
                     });
@@ -441,20 +922,215 @@
             },
 
             /**
-             * Notify host application (MAUI/Photino/Avalonia)
+             * Notify host application (MAUI/Photino/Avalonia) with only what changed
              */
-            notifyHost: function (data) {
-                try {
-                    const callbackName = `${config.namespace}Callback`;
-                    if (window[callbackName]) {
-                        window[callbackName](JSON.stringify(data));
-                        if (config.debug) {
-                            console.log(`[${config.namespace}] Host callback notified`);
-                        }
+            notifyHost: function (changes) {
+                this.sendToHost('dataChanged', { changes: changes });
+            },
+
+            /**
+             * Resolve the configured transports. 'auto' picks the first available native transport. A listed 'callback'
+             * stays resolved even before the host defines it; custom entries are objects with name, send(json, config)
+             * and an optional isAvailable(config).
+             */
+            resolveTransports: function () {
+                const requested = config.transports === 'auto'
+                    ? ['webview2', 'webkit', 'android', 'photino']
+                    : [].concat(config.transports || []);
+
+                const resolved = [];
+                for (const entry of requested) {
+                    const transport = typeof entry === 'string'
+                        ? Object.assign({ name: entry }, hostTransports[entry])
+                        : entry;
+
+                    if (!transport || typeof transport.send !== 'function') {
+                        console.warn(`[${config.namespace}] Unknown transport:`, entry);
+                        continue;
                     }
-                } catch (error) {
-                    console.error(`[${config.namespace}] Failed to notify host:`, error);
+                    // Hosts often inject the callback after load, so it is checked again on every send
+                    if (transport.name !== 'callback' && transport.isAvailable && !transport.isAvailable(config)) {
+                        continue;
+                    }
+
+                    resolved.push(transport);
+                    if (config.transports === 'auto') {
+                        break;
+                    }
+                }
+
+                if (config.debug) {
+                    console.log(`[${config.namespace}] Host transports:`, resolved.length ? resolved.map(transport => transport.name) : 'none');
+                }
+
+                return resolved;
+            },
+
+            /**
+             * Whether a transport other than the window callback reaches the host
+             */
+            hasNativeTransport: function () {
+                return this.transports.some(transport => transport.name !== 'callback');
+            },
+
+            /**
+             * Build a message envelope; id correlates requests and responses
+             */
+            createEnvelope: function (type, payload, id) {
+                const envelope = {
+                    source: 'webview-bridge',
+                    version: 1,
+                    namespace: config.namespace,
+                    type: type,
+                    timestamp: Date.now(),
+                    payload: payload
+                };
+                if (id !== undefined) {
+                    envelope.id = id;
+                }
+                return envelope;
+            },
+
+            /**
+             * Send a typed envelope to the host over every resolved transport
+             */
+            sendToHost: function (type, payload, id) {
+                const delivered = this.postToHost(JSON.stringify(this.createEnvelope(type, payload, id)));
+
+                if (config.debug && delivered) {
+                    console.log(`[${config.namespace}] Sent '${type}' to host`);
+                }
+
+                return delivered;
+            },
+
+            /**
+             * Post a serialized envelope over every resolved transport
+             */
+            postToHost: function (json) {
+                let delivered = false;
+                for (const transport of this.transports) {
+                    if (transport.name === 'callback' && !transport.isAvailable(config)) {
+                        continue;
+                    }
+
+                    try {
+                        transport.send(json, config);
+                        delivered = true;
+                    } catch (error) {
+                        console.error(`[${config.namespace}] Transport ${transport.name} failed:`, error);
+                    }
+                }
+
+                return delivered;
+            },
+
+            /**
+             * Receive host requests on channels that deliver messages into the page
+             * (WebView2 PostWebMessageAsString, Photino SendWebMessage). WKWebView and Android
+             * hosts call bridge.receive(json) through their script evaluation API instead.
+             */
+            setupHostListeners: function () {
+                if (this.hostListenersReady) {
+                    return;
+                }
+                this.hostListenersReady = true;
+
+                if (window.chrome && window.chrome.webview && typeof window.chrome.webview.addEventListener === 'function') {
+                    window.chrome.webview.addEventListener('message', (e) => this.receive(e.data));
+                }
+                if (window.external && typeof window.external.receiveMessage === 'function') {
+                    window.external.receiveMessage((message) => this.receive(message));
+                }
+            },
+
+            /**
+             * Handle a request delivered by a native host and post the response back over the
+             * transports. Messages that are not requests for this namespace are ignored.
+             */
+            receive: function (message) {
+                let request = message;
+                if (typeof message === 'string') {
+                    try {
+                        request = JSON.parse(message);
+                    } catch (e) {
+                        return Promise.resolve(false);
+                    }
+                }
+
+                if (!request || request.source !== 'webview-bridge' || request.type !== 'request' || request.namespace !== config.namespace) {
+                    return Promise.resolve(false);
+                }
+
+                return this.handleRequest(request).then(response => this.postToHost(response));
+            },
+
+            /**
+             * Run a request envelope ({ id, payload: { command, args } }) and resolve with the
+             * serialized response envelope ({ id, payload: { ok, result, error: { code, message } } }).
+             * Blazor hosts call this directly through IJSRuntime.
+             */
+            handleRequest: function (request) {
+                let message = request;
+                if (typeof request === 'string') {
+                    try {
+                        message = JSON.parse(request);
+                    } catch (e) {
+                        message = null;
+                    }
+                }
+
+                const id = message ? message.id : undefined;
+                const respond = (body) => JSON.stringify(this.createEnvelope('response', body, id));
+                // Only strings go into error responses, so this never throws (even for `throw null`)
+                const fail = (error) => respond({
+                    ok: false,
+                    error: {
+                        code: (error && typeof error.code === 'string' && error.code) || 'commandFailed',
+                        message: (error && typeof error.message === 'string' && error.message) || String(error)
+                    }
+                });
+
+                if (!message || message.type !== 'request' || !id || !message.payload) {
+                    return Promise.resolve(fail(commandError('invalidRequest', 'Expected a request envelope with an id and payload')));
+                }
+
+                const commandName = message.payload.command;
+                const command = Object.prototype.hasOwnProperty.call(pageCommands, commandName) ? pageCommands[commandName] : null;
+                if (!command) {
+                    return Promise.resolve(fail(commandError('unknownCommand', `Unknown command '${commandName}'`)));
+                }
+
+                if (config.debug) {
+                    console.log(`[${config.namespace}] Host request ${id}: ${commandName}`);
+                }
+
+                let timer;
+                const timeout = new Promise((resolve, reject) => {
+                    timer = setTimeout(() => reject(commandError('timeout', `'${commandName}' did not complete within ${config.requestTimeoutMs}ms`)), config.requestTimeoutMs);
+                });
+
+                return Promise.race([Promise.resolve().then(() => command(message.payload.args || {}, this)), timeout])
+                    // A result JSON can't represent (circular, BigInt) makes respond throw: report it as commandFailed
+                    .then(result => respond({ ok: true, result: result === undefined ? null : result }))
+                    .catch(fail)
+                    .finally(() => clearTimeout(timer));
+            },
+
+            /**
+             * Register a page handler the host can run with the 'handler.call' command.
+             * The handler receives the call's args and may return a value or a promise.
+             */
+            registerHandler: function (name, handler) {
+                if (typeof handler !== 'function') {
+                    throw new TypeError('handler must be a function');
                 }
+                this.handlers.set(name, handler);
+                return () => this.handlers.get(name) === handler && this.unregisterHandler(name);
+            },
+
+            unregisterHandler: function (name) {
+                return this.handlers.delete(name);
             },
 
             /**
@@ -462,14 +1138,18 @@
              */
             setupEventListeners: function () {
                 try {
-                    // Navigation change detection
-                    this.setupNavigationMonitoring();
+                    if (this.isEventDriven()) {
+                        this.setupChangeEvents();
+                    } else {
+                        // Navigation change detection
+                        this.setupNavigationMonitoring();
 
-                    // Storage change monitoring
-                    this.setupStorageMonitoring();
+                        // Storage change monitoring
+                        this.setupStorageMonitoring();
 
-                    // Cookie change monitoring
-                    this.setupCookieMonitoring();
+                        // Cookie change monitoring
+                        this.setupCookieMonitoring();
+                    }
 
                     if (config.debug) {
                         console.log(`[${config.namespace}] Event listeners configured`);
@@ -479,9 +1159,56 @@
                 }
             },
 
+            /**
+             * Event-driven change detection: same-document hooks for storage, history and
+             * document.cookie, plus storage (other documents), popstate, hashchange and CookieStore events
+             */
+            setupChangeEvents: function () {
+                const isMonitoredKey = key => key === null || config.storageKeys.includes(key);
+
+                this.removeChangeHooks = changeHooks.add(change => {
+                    if (change.type !== 'storage' || isMonitoredKey(change.key)) {
+                        this.scheduleCheck(change.type);
+                    }
+                });
+
+                this.listen(window, 'storage', (e) => {
+                    if (isMonitoredKey(e.key)) {
+                        this.scheduleCheck('storage');
+                    }
+                });
+                this.listen(window, 'popstate', () => this.scheduleCheck('popstate'));
+                this.listen(window, 'hashchange', () => this.scheduleCheck('hashchange'));
+
+                // Also reports cookies set by HTTP responses
+                if (window.cookieStore && typeof window.cookieStore.addEventListener === 'function') {
+                    this.listen(window.cookieStore, 'change', () => this.scheduleCheck('cookieStore'));
+                }
+
+                // Native code may have changed cookies or storage while the app was in the background
+                this.listen(document, 'visibilitychange', () => {
+                    if (document.visibilityState === 'visible') {
+                        this.scheduleCheck('visibility');
+                    }
+                });
+
+                if (config.extractionStrategies.dom && config.domSelectors.length > 0 && typeof MutationObserver !== 'undefined') {
+                    // Only content and data-value; the bridge's own data-* attributes on body would loop
+                    this.domObserver = new MutationObserver(() => this.scheduleCheck('dom'));
+                    this.domObserver.observe(document.documentElement, {
+                        childList: true,
+                        subtree: true,
+                        characterData: true,
+                        attributes: true,
+                        attributeFilter: ['data-value', 'value']
+                    });
+                    this.listen(document, 'input', () => this.scheduleCheck('input'), true);
+                }
+            },
+
             setupNavigationMonitoring: function () {
                 let lastUrl = location.href;
-                setInterval(() => {
+                this.intervals.push(setInterval(() => {
                     const currentUrl = location.href;
                     if (currentUrl !== lastUrl) {
                         lastUrl = currentUrl;
@@ -490,9 +1217,9 @@
                         }
                         setTimeout(() => this.checkDataState(), 1000);
                     }
-                }, 2000);
+                }, 2000));
 
-                window.addEventListener('popstate', () => {
+                this.listen(window, 'popstate', () => {
                     if (config.debug) {
                         console.log(`[${config.namespace}] Popstate detected, checking data`);
                     }
@@ -502,7 +1229,7 @@
 
             setupStorageMonitoring: function () {
                 try {
-                    window.addEventListener('storage', (e) => {
+                    this.listen(window, 'storage', (e) => {
                         if (config.storageKeys.includes(e.key)) {
                             if (config.debug) {
                                 console.log(`[${config.namespace}] Storage change detected:`, e.key);
@@ -517,7 +1244,7 @@
 
             setupCookieMonitoring: function () {
                 let lastCookies = document.cookie;
-                setInterval(() => {
+                this.intervals.push(setInterval(() => {
                     const currentCookies = document.cookie;
                     if (currentCookies !== lastCookies) {
                         lastCookies = currentCookies;
@@ -526,7 +1253,7 @@
                         }
                         setTimeout(() => this.checkDataState(), 500);
                     }
-                }, 2000);
+                }, 2000));
             },
 
             /**
@@ -547,6 +1274,10 @@
                 return this.lastCheck;
             },
 
+            getTransports: function () {
+                return this.transports.map(transport => transport.name);
+            },
+
             getAllStorageData: function (storageType = 'localStorage') {
                 const storage = storageType === 'localStorage' ? localStorage : sessionStorage;
                 const data = {};
@@ -556,7 +1287,7 @@
                         data[key] = this.tryParseJson(storage.getItem(key));
                     }
                 }
-                return data;
+                return this.filterAllowed(data, 'storage');
             }
         };
 